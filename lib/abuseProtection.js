@@ -0,0 +1,361 @@
+/**
+ * Protection for the public quote endpoint against bots and floods:
+ *
+ *   - per-IP and per-email rate limits (rateLimitPerIp, rateLimitPerEmail submissions per
+ *     rateLimitWindowMinutes; defaults 10 and 3 per 60 minutes), counted separately for each
+ *     group of public routes (RATE_LIMIT_GROUPS) so e.g. saving drafts never uses up quotes
+ *   - a honeypot field (honeypotField, default "website") that people never see or fill in
+ *   - a signed form token from GET /api/form-token that must be at least formMinFillSeconds
+ *     old (default 3) when the form comes back; required when formTokenRequired is set
+ *   - duplicate detection: a submission from the same email or phone with similar system details
+ *     within duplicateWindowHours (default 24) is merged into the earlier lead
+ *
+ * The settings are the config's abuse section (lib/config).
+ *
+ * Every blocked or merged submission is counted per day in data/abuse-stats.json for the admin API.
+ */
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+const leadStore = require('./leadStore');
+const { parseNumber } = require('./solarCalculator');
+const { dataPath } = require('./paths');
+const config = require('./config');
+const logger = require('./logger');
+const { sendError, sendSubmitted } = require('./apiResponses');
+
+const statsStore = new JsonStore(() => dataPath('abuse-stats.json'));
+
+const settings = () => config.get().abuse;
+
+const FORM_TOKEN_FIELD = 'form-token';
+const FORM_TOKEN_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const LIMITER_CLEANUP_MS = 60 * 1000;
+
+// Numeric system details compared for duplicates, and how far apart they may be (relative)
+const SIMILARITY_FIELDS = ['systemSize', 'solarPanels', 'dailyUsage', 'dailyEnergy', 'electricBill'];
+const SIMILARITY_TOLERANCE = 0.1;
+
+// How many recent blocked attempts to keep in memory for the admin API
+const RECENT_LIMIT = 100;
+
+const BLOCK_REASONS = [
+  'rate_limit_ip',
+  'rate_limit_email',
+  'honeypot',
+  'form_token_missing',
+  'form_token_invalid',
+  'form_too_fast',
+  'duplicate'
+];
+
+// Public route groups with their own rate limits, and what their requests are called in logs
+// and 429 messages
+const RATE_LIMIT_GROUPS = {
+  quotes: 'quote request',
+  drafts: 'draft',
+  privacy: 'privacy request',
+  uploads: 'upload'
+};
+
+// In-memory state of each config, so apps built with their own (createApp) keep theirs apart:
+// the rate limiters by group, used form-token nonces, the per-process token secret and the
+// recent blocked attempts
+const stateByConfig = new WeakMap();
+
+function state() {
+  const current = config.get();
+  if (!stateByConfig.has(current)) {
+    stateByConfig.set(current, { limiters: {}, usedNonces: new Map(), processSecret: null, recent: [] });
+  }
+  return stateByConfig.get(current);
+}
+
+/**
+ * Sliding-window counter: allows `limit` hits per key within `windowMs`, both from `limits()`,
+ * which is called on every hit so the limits follow the config in use
+ */
+function createRateLimiter(limits) {
+  const hits = new Map();
+  let cleanedAt = Date.now();
+
+  return {
+    // Record a hit; returns { allowed, retryAfterSeconds }
+    hit(key) {
+      const { limit, windowMs } = limits();
+      const now = Date.now();
+
+      // Now and then forget keys with no hits in the window so the map doesn't grow forever
+      if (now - cleanedAt >= LIMITER_CLEANUP_MS) {
+        cleanedAt = now;
+        hits.forEach((times, hitKey) => {
+          if (times[times.length - 1] <= now - windowMs) hits.delete(hitKey);
+        });
+      }
+
+      const times = (hits.get(key) || []).filter(time => time > now - windowMs);
+
+      if (times.length >= limit) {
+        hits.set(key, times);
+        return { allowed: false, retryAfterSeconds: Math.ceil((times[0] + windowMs - now) / 1000) };
+      }
+
+      times.push(now);
+      hits.set(key, times);
+      return { allowed: true };
+    }
+  };
+}
+
+const windowMs = () => settings().rateLimitWindowMinutes * 60 * 1000;
+
+/**
+ * Count a blocked (or merged) request of a RATE_LIMIT_GROUPS group (default quotes). Never
+ * throws: failing to count must not fail the request.
+ */
+async function recordBlocked(reason, { ip, email, group = 'quotes' } = {}) {
+  const at = new Date().toISOString();
+  const day = at.slice(0, 10);
+  const { recent } = state();
+
+  recent.unshift({ reason, group, ip, email, at });
+  recent.length = Math.min(recent.length, RECENT_LIMIT);
+  logger.warn(`Blocked ${RATE_LIMIT_GROUPS[group]}`, { reason, ip, email });
+
+  try {
+    if (statsStore.get(day)) {
+      await statsStore.update(day, record => {
+        record.counts[reason] = (record.counts[reason] || 0) + 1;
+      });
+    } else {
+      await statsStore.insert({ id: day, counts: { [reason]: 1 } });
+    }
+  } catch (error) {
+    logger.error('Failed to record blocked request', { error: error.message });
+  }
+}
+
+/**
+ * Totals per reason, daily counts for the last `days` days and the most recent blocked attempts
+ */
+function getStats({ days = 30 } = {}) {
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const daily = statsStore.all()
+    .filter(record => record.id >= since)
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map(record => ({ date: record.id, counts: record.counts }));
+
+  const totals = {};
+  BLOCK_REASONS.forEach(reason => { totals[reason] = 0; });
+  daily.forEach(({ counts }) => {
+    Object.keys(counts).forEach(reason => { totals[reason] = (totals[reason] || 0) + counts[reason]; });
+  });
+
+  return { days, totals, daily, recent: state().recent.slice() };
+}
+
+/**
+ * Drop the recent blocked attempts made with an email address, and the IP addresses they came
+ * from, when the customer's data is erased. The daily counts hold no addresses.
+ */
+function forgetEmail(email) {
+  const address = String(email || '').toLowerCase();
+  if (!address) return;
+
+  const { recent } = state();
+  for (let i = recent.length - 1; i >= 0; i--) {
+    if (recent[i].email && recent[i].email.toLowerCase() === address) recent.splice(i, 1);
+  }
+}
+
+// Without a configured secret tokens are signed with a per-process key and expire on restart
+function getFormTokenSecret() {
+  const { formTokenSecret } = settings();
+  if (formTokenSecret) return formTokenSecret;
+
+  const current = state();
+  if (!current.processSecret) current.processSecret = crypto.randomBytes(32).toString('hex');
+  return current.processSecret;
+}
+
+const signToken = payload => crypto.createHmac('sha256', getFormTokenSecret()).update(payload).digest('hex');
+
+/**
+ * A new form token: "<issued at ms>.<nonce>.<signature>"
+ */
+function issueFormToken() {
+  const payload = `${Date.now()}.${crypto.randomBytes(8).toString('hex')}`;
+  return {
+    token: `${payload}.${signToken(payload)}`,
+    minFillSeconds: settings().formMinFillSeconds
+  };
+}
+
+/**
+ * Check a submitted form token without using it up. Returns { problem } with the block reason,
+ * or { nonce, expiresAt } of a valid token ({} when there is none and none is required).
+ */
+function checkFormToken(token) {
+  if (!token) {
+    return settings().formTokenRequired ? { problem: 'form_token_missing' } : {};
+  }
+
+  const [issuedAt, nonce, signature] = String(token).split('.');
+  const payload = `${issuedAt}.${nonce}`;
+  const expected = Buffer.from(signToken(payload));
+  const given = Buffer.from(signature || '');
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { problem: 'form_token_invalid' };
+  }
+
+  const age = Date.now() - parseInt(issuedAt, 10);
+  if (!(age >= 0 && age <= FORM_TOKEN_MAX_AGE_MS) || state().usedNonces.has(nonce)) {
+    return { problem: 'form_token_invalid' };
+  }
+  if (age < settings().formMinFillSeconds * 1000) {
+    return { problem: 'form_too_fast' };
+  }
+
+  return { nonce, expiresAt: parseInt(issuedAt, 10) + FORM_TOKEN_MAX_AGE_MS };
+}
+
+/**
+ * Mark the form token checked by checkForm as used, once its submission has been accepted.
+ * Until then the customer can fix a rejected form and send it again with the same token.
+ */
+function useFormToken(req) {
+  if (!req.formToken || !req.formToken.nonce) return;
+
+  // Nonces of tokens already used, with their expiry, so a token can't be replayed
+  const { usedNonces } = state();
+  const now = Date.now();
+  usedNonces.forEach((expiresAt, key) => {
+    if (expiresAt < now) usedNonces.delete(key);
+  });
+  usedNonces.set(req.formToken.nonce, req.formToken.expiresAt);
+}
+
+// The config in use's limiter of one group by IP ('ip') or email ('email')
+function limiter(group, by) {
+  const { limiters } = state();
+  const key = `${group}.${by}`;
+  if (!limiters[key]) {
+    limiters[key] = createRateLimiter(() => ({
+      limit: by === 'ip' ? settings().rateLimitPerIp : settings().rateLimitPerEmail,
+      windowMs: windowMs()
+    }));
+  }
+  return limiters[key];
+}
+
+// Per-IP and per-email limits for one group, counting only that group's requests
+function createGroupLimits(group) {
+  const name = RATE_LIMIT_GROUPS[group];
+
+  function sendTooMany(res, retryAfterSeconds) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return sendError(res, 429, {
+      code: 'rate_limited',
+      message: `Too many ${name}s. Please try again later.`
+    });
+  }
+
+  return {
+    limitByIp(req, res, next) {
+      const { allowed, retryAfterSeconds } = limiter(group, 'ip').hit(req.ip);
+      if (allowed) return next();
+
+      recordBlocked('rate_limit_ip', { ip: req.ip, group });
+      sendTooMany(res, retryAfterSeconds);
+    },
+
+    limitByEmail(req, res, email) {
+      if (!email) return false;
+
+      const { allowed, retryAfterSeconds } = limiter(group, 'email').hit(email);
+      if (allowed) return false;
+
+      recordBlocked('rate_limit_email', { ip: req.ip, email, group });
+      sendTooMany(res, retryAfterSeconds);
+      return true;
+    }
+  };
+}
+
+const limitsByGroup = {};
+Object.keys(RATE_LIMIT_GROUPS).forEach(group => { limitsByGroup[group] = createGroupLimits(group); });
+
+/**
+ * The rate limits of a RATE_LIMIT_GROUPS group, shared by every route of the group:
+ *
+ *   - limitByIp: middleware, per-IP limit, before the body is parsed
+ *   - limitByEmail(req, res, email): per-email limit, once the address is validated and
+ *     normalised. Sends the 429 and returns true when the request is blocked.
+ */
+function rateLimits(group) {
+  if (!limitsByGroup[group]) throw new Error(`Unknown rate limit group: ${group}`);
+  return limitsByGroup[group];
+}
+
+/**
+ * Middleware: honeypot and form token checks on the parsed form. Removes both fields from the
+ * body so they never reach validation and keeps the checked token in req.formToken for
+ * useFormToken. Bots that fill the honeypot get a normal-looking reply.
+ */
+function checkForm(req, res, next) {
+  const body = req.body || {};
+  const { honeypotField } = settings();
+  const honeypot = body[honeypotField];
+  const token = body[FORM_TOKEN_FIELD];
+  delete body[honeypotField];
+  delete body[FORM_TOKEN_FIELD];
+
+  if (honeypot && String(honeypot).trim()) {
+    recordBlocked('honeypot', { ip: req.ip });
+    return sendSubmitted(res, leadStore.reserveLeadId());
+  }
+
+  const { problem, ...formToken } = checkFormToken(token);
+  if (problem) {
+    recordBlocked(problem, { ip: req.ip });
+    return sendError(res, 400, problem === 'form_too_fast'
+      ? { code: 'form_too_fast', message: 'The form was submitted too quickly. Please wait a moment and try again.' }
+      : { code: 'form_expired', message: 'The form has expired. Please reload the page and try again.' });
+  }
+
+  req.formToken = formToken;
+  next();
+}
+
+// Whether two leads' numeric system details are within SIMILARITY_TOLERANCE of each other: at
+// least one field both give, and every such field close. Without one in common they can't be compared.
+function similarSystem(a, b) {
+  const compared = SIMILARITY_FIELDS
+    .map(field => [parseNumber(a[field]), parseNumber(b[field])])
+    .filter(([first, second]) => first !== null && second !== null);
+
+  return compared.length > 0 && compared.every(([first, second]) =>
+    Math.abs(first - second) <= SIMILARITY_TOLERANCE * Math.max(Math.abs(first), Math.abs(second)));
+}
+
+/**
+ * The recent lead this submission repeats, if any: same email or phone, same calculator mode
+ * and similar system details within the duplicate window
+ */
+function findDuplicate({ calculatorMode, fields }) {
+  const since = new Date(Date.now() - settings().duplicateWindowHours * 60 * 60 * 1000);
+  return leadStore.findRecentByContact({ email: fields.email, phone: fields.phone, since })
+    .find(lead => lead.calculatorMode === calculatorMode && similarSystem(lead.fields, fields)) || null;
+}
+
+module.exports = {
+  BLOCK_REASONS,
+  RATE_LIMIT_GROUPS,
+  issueFormToken,
+  rateLimits,
+  checkForm,
+  useFormToken,
+  findDuplicate,
+  recordBlocked,
+  getStats,
+  forgetEmail
+};
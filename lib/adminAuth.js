@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+
+/**
+ * The configured admin tokens (admin.tokens, ADMIN_API_TOKENS) as { name, token } entries.
+ * Entries may be prefixed with a name ("alice:s3cret"), which is recorded against the notes
+ * and status changes that admin makes.
+ */
+function loadAdminTokens() {
+  return config.get().admin.tokens
+    .map((entry, index) => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { name: entry.slice(0, separator), token: entry.slice(separator + 1) }
+        : { name: `admin-${index + 1}`, token: entry };
+    });
+}
+
+// Constant-time comparison so the token can't be guessed byte by byte from response timings
+function tokensMatch(expected, actual) {
+  const a = crypto.createHash('sha256').update(expected).digest();
+  const b = crypto.createHash('sha256').update(actual).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// The token in the request's `Authorization: Bearer <token>` header, or null
+function bearerToken(req) {
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Whether the request carries `token` as its bearer token, compared in constant time.
+ * Always false when no token is set.
+ */
+function hasBearerToken(req, token) {
+  const given = bearerToken(req);
+  return Boolean(token && given) && tokensMatch(token, given);
+}
+
+/**
+ * Express middleware requiring an `Authorization: Bearer <token>` header
+ * matching one of the configured admin tokens
+ */
+function requireAdmin(req, res, next) {
+  const tokens = loadAdminTokens();
+
+  if (tokens.length === 0) {
+    logger.error('Admin request rejected: admin.tokens (ADMIN_API_TOKENS) is not configured');
+    return res.status(503).json({
+      success: false,
+      message: 'Admin API is not configured'
+    });
+  }
+
+  const given = bearerToken(req);
+  const admin = given && tokens.find(entry => tokensMatch(entry.token, given));
+
+  if (!admin) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized'
+    });
+  }
+
+  req.admin = { name: admin.name };
+  next();
+}
+
+module.exports = {
+  requireAdmin,
+  hasBearerToken
+};
@@ -0,0 +1,214 @@
+/**
+ * Reporting over the stored leads: submissions over time, breakdowns by form choices,
+ * distributions of the requested system sizes and status-based conversion rates.
+ * Every report takes the same filter: { from, to, calculatorMode }.
+ */
+const leadStore = require('./leadStore');
+const { parseNumber } = require('./solarCalculator');
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Most periods one submissions report may have, so a wide range at a short interval can't
+// build (and send) an enormous report
+const MAX_PERIODS = 1000;
+
+// Lead fields (or properties) the breakdowns group by, keyed by their form field names
+const DIMENSIONS = {
+  'calculator-mode': lead => lead.calculatorMode,
+  'purchase-timeline': lead => lead.fields.purchaseTimeline,
+  'contact-method': lead => lead.fields.contactMethod,
+  'system-type': lead => lead.fields.systemType
+};
+
+// Numeric fields with distributions, and the upper bounds of their buckets
+const DISTRIBUTIONS = {
+  'system-size': { field: 'systemSize', unit: 'kW', bounds: [1, 2, 3, 5, 7.5, 10, 15, 20] },
+  'battery': { field: 'battery', unit: 'kWh', bounds: [5, 10, 15, 20, 30, 50] },
+  'electric-bill': { field: 'electricBill', unit: 'NGN/month', bounds: [10000, 25000, 50000, 100000, 200000, 500000] }
+};
+
+// Stages of the lead lifecycle a lead can reach, in order
+const FUNNEL = ['contacted', 'quoted', 'won'];
+
+const UNSPECIFIED = 'unspecified';
+
+function filterLeads({ from, to, calculatorMode } = {}) {
+  return leadStore.listLeads().filter(lead => {
+    const created = new Date(lead.createdAt);
+    if (from && created < from) return false;
+    if (to && created > to) return false;
+    return !calculatorMode || lead.calculatorMode === calculatorMode;
+  });
+}
+
+const ratio = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : 0);
+
+// Start of the UTC day, ISO week (Monday) or month containing `date`, as YYYY-MM-DD
+function periodStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  if (interval === 'month') start.setUTCDate(1);
+  return start;
+}
+
+function nextPeriod(start, interval) {
+  const next = new Date(start);
+  if (interval === 'day') next.setUTCDate(next.getUTCDate() + 1);
+  if (interval === 'week') next.setUTCDate(next.getUTCDate() + 7);
+  if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+}
+
+/**
+ * Leads per day, week or month with a count per calculator mode. Periods without leads are
+ * included (as zero) between `from` (or the first lead) and `to` (or the last lead). Throws an
+ * error with code TOO_MANY_PERIODS when that is more than MAX_PERIODS periods.
+ */
+function countsOverTime({ interval = 'day', ...filter } = {}) {
+  const leads = filterLeads(filter);
+  const buckets = new Map();
+
+  leads.forEach(lead => {
+    const key = periodStart(new Date(lead.createdAt), interval).toISOString().slice(0, 10);
+    const bucket = buckets.get(key) || { count: 0, byCalculatorMode: {} };
+    bucket.count += 1;
+    bucket.byCalculatorMode[lead.calculatorMode] = (bucket.byCalculatorMode[lead.calculatorMode] || 0) + 1;
+    buckets.set(key, bucket);
+  });
+
+  const times = leads.map(lead => new Date(lead.createdAt).getTime());
+  const first = filter.from || (times.length > 0 ? new Date(Math.min(...times)) : null);
+  const last = filter.to || (times.length > 0 ? new Date(Math.max(...times)) : null);
+  if (!first || !last) return { interval, periods: [] };
+
+  const periods = [];
+  for (let start = periodStart(first, interval); start <= last; start = nextPeriod(start, interval)) {
+    if (periods.length === MAX_PERIODS) {
+      const error = new Error(`The report would have more than ${MAX_PERIODS} periods; use a shorter range or a longer interval`);
+      error.code = 'TOO_MANY_PERIODS';
+      throw error;
+    }
+    const key = start.toISOString().slice(0, 10);
+    periods.push({ period: key, ...(buckets.get(key) || { count: 0, byCalculatorMode: {} }) });
+  }
+
+  return { interval, periods };
+}
+
+/**
+ * For each dimension, the number and share of leads per value (most common first)
+ */
+function breakdowns(filter = {}) {
+  const leads = filterLeads(filter);
+  const result = {};
+
+  Object.keys(DIMENSIONS).forEach(dimension => {
+    const counts = {};
+    leads.forEach(lead => {
+      const value = DIMENSIONS[dimension](lead) || UNSPECIFIED;
+      counts[value] = (counts[value] || 0) + 1;
+    });
+
+    result[dimension] = Object.keys(counts)
+      .map(value => ({ value, count: counts[value], share: ratio(counts[value], leads.length) }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  });
+
+  return { total: leads.length, dimensions: result };
+}
+
+// Value at quantile `q` of sorted numbers (linear interpolation)
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+const round = value => (value === null ? null : Math.round(value * 100) / 100);
+
+/**
+ * Summary statistics and bucket counts for system size, battery capacity and electric bill.
+ * Leads that didn't give a value are counted as `missing`.
+ */
+function distributions(filter = {}) {
+  const leads = filterLeads(filter);
+  const result = {};
+
+  Object.keys(DISTRIBUTIONS).forEach(name => {
+    const { field, unit, bounds } = DISTRIBUTIONS[name];
+    const values = leads
+      .map(lead => parseNumber(lead.fields[field]))
+      .filter(value => value !== null)
+      .sort((a, b) => a - b);
+
+    const buckets = [...bounds, null].map((to, index) => ({ from: index === 0 ? 0 : bounds[index - 1], to, count: 0 }));
+    values.forEach(value => {
+      const bucket = buckets.find(candidate => candidate.to === null || value < candidate.to);
+      bucket.count += 1;
+    });
+
+    result[name] = {
+      unit,
+      count: values.length,
+      missing: leads.length - values.length,
+      min: values.length > 0 ? values[0] : null,
+      max: values.length > 0 ? values[values.length - 1] : null,
+      mean: values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null,
+      p25: round(quantile(values, 0.25)),
+      median: round(quantile(values, 0.5)),
+      p75: round(quantile(values, 0.75)),
+      buckets
+    };
+  });
+
+  return { total: leads.length, distributions: result };
+}
+
+// Whether a lead has ever been in `status`
+const reached = (lead, status) => (lead.statusHistory || []).some(entry => entry.status === status) || lead.status === status;
+
+function funnel(leads) {
+  const won = leads.filter(lead => lead.status === 'won').length;
+  const lost = leads.filter(lead => lead.status === 'lost').length;
+  const stages = {};
+  FUNNEL.forEach(status => {
+    const count = leads.filter(lead => reached(lead, status)).length;
+    stages[status] = { count, rate: ratio(count, leads.length) };
+  });
+
+  return {
+    total: leads.length,
+    open: leads.length - won - lost,
+    lost,
+    stages,
+    // Of the leads that are closed, the share that was won
+    winRate: ratio(won, won + lost)
+  };
+}
+
+/**
+ * Share of leads that reached each stage (contacted, quoted, won), overall and per calculator mode
+ */
+function conversion(filter = {}) {
+  const leads = filterLeads(filter);
+  const modes = Array.from(new Set(leads.map(lead => lead.calculatorMode))).sort();
+
+  const byCalculatorMode = {};
+  modes.forEach(mode => {
+    byCalculatorMode[mode] = funnel(leads.filter(lead => lead.calculatorMode === mode));
+  });
+
+  return { ...funnel(leads), byCalculatorMode };
+}
+
+module.exports = {
+  INTERVALS,
+  MAX_PERIODS,
+  DIMENSIONS: Object.keys(DIMENSIONS),
+  countsOverTime,
+  breakdowns,
+  distributions,
+  conversion
+};
@@ -0,0 +1,62 @@
+/**
+ * Responses in the shape of the API version serving the request.
+ *
+ *   original routes   { success: true, message, id }   /   { success: false, code, message, errors? }
+ *   /api/v1           { success: true, data }           /   { success: false, error: { code, message, details?, requestId } }
+ *
+ * /api/v1 marks its requests with res.locals.apiVersion = 'v1'. Its field errors use the
+ * JSON API's camelCase names ("systemSize") instead of the form's ("system-size").
+ */
+
+// "system-size" -> "systemSize"
+const camelCase = name => String(name).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// "systemSize" -> "system-size"
+const kebabCase = name => String(name).replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+/**
+ * Send an error. `code` is a stable machine-readable identifier (e.g. "validation_failed"),
+ * `errors` an optional list of { field, code, message }.
+ */
+function sendError(res, status, { code, message, errors }) {
+  if (res.locals.apiVersion === 'v1') {
+    return res.status(status).json({
+      success: false,
+      error: {
+        code,
+        message,
+        ...(errors ? { details: errors.map(error => ({ ...error, field: error.field && camelCase(error.field) })) } : {}),
+        requestId: res.get('X-Request-Id')
+      }
+    });
+  }
+
+  return res.status(status).json({
+    success: false,
+    code,
+    message,
+    ...(errors ? { errors } : {})
+  });
+}
+
+/**
+ * Acknowledge an accepted quote request
+ */
+function sendSubmitted(res, id) {
+  if (res.locals.apiVersion === 'v1') {
+    return res.status(201).json({ success: true, data: { id } });
+  }
+
+  return res.json({
+    success: true,
+    message: 'Quote request sent successfully',
+    id
+  });
+}
+
+module.exports = {
+  camelCase,
+  kebabCase,
+  sendError,
+  sendSubmitted
+};
@@ -0,0 +1,178 @@
+/**
+ * A lead's site photos: storing the processed copies, signed links to them, and the thumbnails
+ * that go into emails and proposals instead of the full-size files.
+ *
+ * Each photo is stored as three objects under the lead's ID:
+ *   <n>-<name>.<jpg|png|webp>  full resolution, re-encoded without metadata (`storedAs`)
+ *   <n>-<name>.large.jpg       resized for viewing (`variants.large`)
+ *   <n>-<name>.thumb.jpg       thumbnail (`variants.thumb`)
+ *
+ * Links are signed with uploads.linkSecret in the config and expire after uploads.linkTtlDays (default 30).
+ */
+const crypto = require('crypto');
+const path = require('path');
+const { getStorage } = require('./storage');
+const publicUrl = require('./publicUrl');
+const config = require('./config');
+const logger = require('./logger');
+
+let processSecret = null;
+
+// Without a configured secret links are signed with a per-process key and stop working on restart
+function getLinkSecret() {
+  const { linkSecret } = config.get().uploads;
+  if (linkSecret) return linkSecret;
+
+  if (!processSecret) {
+    logger.warn('uploads.linkSecret (UPLOAD_LINK_SECRET) is not set; photo links in emails will stop working when the server restarts');
+    processSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return processSecret;
+}
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+const contentTypeFor = key => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+// Keep original names recognisable but safe to use as file names
+function safeFileName(name) {
+  return (name || 'image').replace(/[^\w.-]+/g, '_').slice(-100);
+}
+
+/**
+ * Store a submission's processed images (from imagePipeline.processUploads) under the lead's ID.
+ * `startIndex` is the number of files the lead already has, so added files get new names.
+ * Returns the attachment metadata to keep on the lead.
+ */
+async function saveImages(leadId, images = [], { startIndex = 0 } = {}) {
+  const storage = getStorage();
+
+  return Promise.all(images.map(async (image, index) => {
+    const baseName = safeFileName(path.parse(image.originalname || '').name || 'image');
+    const base = `${leadId}/${startIndex + index + 1}-${baseName}`;
+    const storedAs = `${base}.${image.extension}`;
+    const variants = { large: `${base}.large.jpg`, thumb: `${base}.thumb.jpg` };
+
+    await Promise.all([
+      storage.put(storedAs, image.full, image.mimetype),
+      storage.put(variants.large, image.large, 'image/jpeg'),
+      storage.put(variants.thumb, image.thumb, 'image/jpeg')
+    ]);
+
+    return {
+      fieldname: image.fieldname,
+      originalname: image.originalname,
+      mimetype: image.mimetype,
+      size: image.full.length,
+      width: image.width,
+      height: image.height,
+      storedAs,
+      variants
+    };
+  }));
+}
+
+function sign(key, expires) {
+  return crypto.createHmac('sha256', getLinkSecret()).update(`${key}:${expires}`).digest('hex');
+}
+
+/**
+ * Absolute, expiring link to a stored file
+ */
+function signedUrl(key, ttlDays = config.get().uploads.linkTtlDays) {
+  const expires = Math.floor(Date.now() / 1000 + ttlDays * 24 * 60 * 60);
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return `${publicUrl()}/api/uploads/${encodedKey}?expires=${expires}&signature=${sign(key, expires)}`;
+}
+
+// Whether a link's signature matches the key and it hasn't expired
+function verifySignedUrl(key, expires, signature) {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt < Date.now() / 1000 || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(sign(key, expiresAt));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Read a stored file; resolves with { buffer, contentType } or null when it's gone
+ */
+async function readFile(key) {
+  const buffer = await getStorage().get(key);
+  return buffer ? { buffer, contentType: contentTypeFor(key) } : null;
+}
+
+/**
+ * Delete stored files (each attachment's full-size copy and its variants)
+ */
+async function removeFiles(attachments = []) {
+  const keys = attachments.flatMap(({ storedAs, variants = {} }) => [storedAs, variants.large, variants.thumb]);
+  await Promise.all(keys.filter(Boolean).map(key => getStorage().remove(key)));
+}
+
+/**
+ * The photos to put in the internal email: thumbnails as inline attachments (referenced by `cid`)
+ * plus links to the viewing copy and the full-resolution file
+ */
+async function emailPhotos(lead) {
+  const attachments = [];
+  const photos = [];
+
+  for (const [index, file] of (lead.attachments || []).entries()) {
+    if (!file.storedAs) continue;
+
+    const variants = file.variants || {};
+    const photo = {
+      name: file.originalname || `image-${index + 1}`,
+      url: signedUrl(variants.large || file.storedAs),
+      fullSizeUrl: signedUrl(file.storedAs),
+      cid: null
+    };
+
+    const thumb = variants.thumb ? await readFile(variants.thumb) : null;
+    if (thumb) {
+      photo.cid = `photo-${index + 1}@${lead.id}`;
+      attachments.push({
+        filename: path.basename(variants.thumb),
+        content: thumb.buffer,
+        contentType: thumb.contentType,
+        cid: photo.cid
+      });
+    }
+
+    photos.push(photo);
+  }
+
+  return { attachments, photos };
+}
+
+/**
+ * Thumbnails for a lead's photos as { name, buffer } (older leads without thumbnails use the stored file)
+ */
+async function photoThumbnails(lead) {
+  const thumbnails = [];
+
+  for (const file of lead.attachments || []) {
+    const key = (file.variants && file.variants.thumb) || file.storedAs;
+    const stored = key ? await readFile(key) : null;
+    if (stored) thumbnails.push({ name: file.originalname, buffer: stored.buffer });
+  }
+
+  return thumbnails;
+}
+
+module.exports = {
+  saveImages,
+  signedUrl,
+  verifySignedUrl,
+  readFile,
+  removeFiles,
+  emailPhotos,
+  photoThumbnails
+};
@@ -0,0 +1,51 @@
+/**
+ * Append-only record of what was done with customers' personal data: privacy requests, data
+ * exports, erasures and retention purges. Entries never hold the personal data itself;
+ * customers are identified by a hash of their email address (hashEmail), so an entry can be
+ * found again for someone who gives their address without the log revealing it.
+ */
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+const { dataPath } = require('./paths');
+const logger = require('./logger');
+
+const store = new JsonStore(() => dataPath('audit-log.json'));
+
+const hashEmail = email => crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+
+/**
+ * Add an entry. `action` names what happened (e.g. "privacy.erased"); `details` says to whom and
+ * to what (emailHash, leadIds, counts). Resolves with the entry.
+ */
+async function record(action, details = {}) {
+  const entry = {
+    id: `audit_${crypto.randomBytes(8).toString('hex')}`,
+    at: new Date().toISOString(),
+    action,
+    requestId: logger.currentRequestId(),
+    ...details
+  };
+
+  await store.insert(entry);
+  logger.info('Audit log entry', { action, auditId: entry.id });
+  return entry;
+}
+
+/**
+ * Entries newest first, optionally only one action and/or one email address
+ */
+function list({ action, email, limit = 100 } = {}) {
+  const emailHash = email ? hashEmail(email) : null;
+
+  return store.all()
+    .filter(entry => !action || entry.action === action)
+    .filter(entry => !emailHash || entry.emailHash === emailHash)
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, limit);
+}
+
+module.exports = {
+  hashEmail,
+  record,
+  list
+};
@@ -0,0 +1,722 @@
+/**
+ * Runtime configuration, loaded and checked once at startup so a missing password or a
+ * malformed origin stops the deploy instead of failing the first customer's submission.
+ *
+ * Each layer overrides the one before:
+ *   1. the defaults below
+ *   2. config/default.yaml, then config/<environment>.yaml (NODE_ENV, "development" when unset);
+ *      .yml and .json work too and CONFIG_DIR points at another directory.
+ *      See resources/config.example.yaml for every setting.
+ *   3. environment variables (including .env), named in ENV_VARS
+ *
+ * Sections: server, admin, cors, email, notifications, routing, calculator, submissions, abuse,
+ * drafts, privacy, uploads, queue, health and metrics. Modules read their settings through get()
+ * when they need them, never at load. Only NODE_ENV, CONFIG_DIR and LOG_LEVEL stay plain
+ * environment variables, as they are needed before the config can be loaded or reported on.
+ *
+ * loadConfig() throws one error (code INVALID_CONFIG) that lists every problem found. Each app
+ * from createApp() keeps its config, and the mail transport it was given, in a scope that every
+ * request and job it runs is handled in (runInScope); outside any scope get() returns the
+ * process default, loaded on first use.
+ */
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const YAML = require('yaml');
+const { SUPPORTED_MIMETYPES } = require('./imagePipeline');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'config');
+const FILE_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+const DEFAULTS = {
+  server: {
+    port: 10000,
+    // Behind Render's proxy the client address is in X-Forwarded-For; rate limits need the real
+    // one. A hop count, true/false, or a list of trusted addresses
+    trustProxy: 1,
+    publicUrl: 'https://solar-calculator-backend.onrender.com',
+    keepAlive: false,
+    // Where leads, jobs, uploads and the other data files are kept (relative to the working
+    // directory); null for data/ in the project
+    dataDir: null
+  },
+  admin: {
+    // Bearer tokens for the admin API, each optionally "name:token" so changes record who made them
+    tokens: []
+  },
+  cors: {
+    // Exact origins, wildcards such as https://*.example.com, or regular expressions as /.../
+    origins: [
+      'http://localhost:5500',
+      'https://solar-calculator-chi.vercel.app',
+      'https://tepng.com',
+      'https://www.tepng.com'
+    ]
+  },
+  email: {
+    // Without a host the account in `user` is sent through Gmail
+    host: null,
+    port: 587,
+    secure: false,
+    user: null,
+    password: null,
+    from: null,
+    recipient: null,
+    cc: [],
+    messageDomain: null,
+    // Brand whose templates are used when the submitting site's origin doesn't pick one
+    brand: 'tepng',
+    // Locale of the internal lead emails and their proposal PDFs (the template default when null)
+    locale: null,
+    // Messages per second each SMTP channel may send
+    rateLimit: 5
+  },
+  notifications: {
+    // Channel definitions replacing the ones derived from email and the webhook settings
+    // (see lib/notifications); "${NAME}" in their strings is replaced by that env var
+    channels: null,
+    customerChannel: null,
+    webhookUrl: null,
+    webhookSecret: null,
+    chatWebhookUrl: null,
+    chatLeadUrl: null,
+    // Attach the PDF proposal to the internal lead email
+    proposalPdf: true,
+    // Acknowledge each quote request to the customer by email, optionally with the PDF proposal
+    customerConfirmation: true,
+    customerProposalPdf: false
+  },
+  routing: {
+    // Lead scoring and routing rules (see lib/leadRouting), inline or from a JSON or YAML file
+    rules: null,
+    rulesFile: null
+  },
+  calculator: {
+    panelWattage: 400,
+    // Electricity price per kWh in local currency
+    tariff: 225,
+    // Relative deviation above which a client-supplied figure is flagged
+    tolerance: 0.15
+  },
+  submissions: {
+    // Answer 422 for form fields the mode's schema doesn't know instead of dropping them
+    rejectUnknownFields: false
+  },
+  abuse: {
+    rateLimitWindowMinutes: 60,
+    rateLimitPerIp: 10,
+    rateLimitPerEmail: 3,
+    honeypotField: 'website',
+    formMinFillSeconds: 3,
+    formTokenRequired: false,
+    // Without a secret form tokens are signed with a per-process key and stop working on restart
+    formTokenSecret: null,
+    duplicateWindowHours: 24
+  },
+  drafts: {
+    expiryDays: 30,
+    // Page the resume links in draft emails open; the submitting site's origin when null
+    resumeUrl: null
+  },
+  privacy: {
+    verifyHours: 24,
+    // anonymise keeps the system details for reporting; delete removes the whole lead
+    erasureMode: 'anonymise',
+    // Purge leads after this many days; null keeps them
+    retentionDays: null
+  },
+  uploads: {
+    maxFiles: 10,
+    maxFileMb: 5,
+    maxTotalMb: 20,
+    mimetypes: ['image/jpeg', 'image/png'],
+    // How long photos uploaded ahead of a submission wait to be claimed
+    pendingHours: 24,
+    // Photo links in emails are signed with the secret and expire after linkTtlDays. Without a
+    // secret they are signed with a per-process key and stop working on restart
+    linkSecret: null,
+    linkTtlDays: 30,
+    // Longest side in pixels of the resized copy and the thumbnail of each photo
+    largeSize: 1600,
+    thumbSize: 320,
+    storage: 'local',
+    s3: {
+      endpoint: null,
+      region: null,
+      bucket: null,
+      accessKeyId: null,
+      secretAccessKey: null,
+      prefix: null
+    }
+  },
+  queue: {
+    // Delivery attempts before a job is dead-lettered, and the first retry delay (doubling after)
+    maxAttempts: 8,
+    retryBaseMs: 30 * 1000
+  },
+  health: {
+    // How long each readiness check may take, and how long a result is reused by later polls
+    // (0 checks on every poll)
+    timeoutMs: 5000,
+    cacheSeconds: 30
+  },
+  metrics: {
+    // When set, the scraper must send it as a bearer token
+    token: null
+  }
+};
+
+// Environment variables and the settings they set, applied in order (a later one wins)
+const ENV_VARS = [
+  ['PORT', 'server.port', 'integer'],
+  ['TRUST_PROXY', 'server.trustProxy', 'trustProxy'],
+  ['SERVER_URL', 'server.publicUrl', 'string'],
+  ['KEEP_ALIVE', 'server.keepAlive', 'boolean'],
+  ['DATA_DIR', 'server.dataDir', 'string'],
+  ['ADMIN_API_TOKENS', 'admin.tokens', 'list'],
+  ['FRONTEND_URL', 'cors.origins', 'list'],
+  ['SMTP_HOST', 'email.host', 'string'],
+  ['SMTP_PORT', 'email.port', 'integer'],
+  ['SMTP_SECURE', 'email.secure', 'boolean'],
+  ['EMAIL_USER', 'email.user', 'string'],
+  ['SMTP_USER', 'email.user', 'string'],
+  ['EMAIL_PASSWORD', 'email.password', 'string'],
+  ['SMTP_PASSWORD', 'email.password', 'string'],
+  ['EMAIL_FROM', 'email.from', 'string'],
+  ['RECIPIENT_EMAIL', 'email.recipient', 'string'],
+  ['CC_EMAILS', 'email.cc', 'list'],
+  ['EMAIL_DOMAIN', 'email.messageDomain', 'string'],
+  ['EMAIL_BRAND', 'email.brand', 'string'],
+  ['EMAIL_LOCALE', 'email.locale', 'string'],
+  ['EMAIL_RATE_LIMIT', 'email.rateLimit', 'number'],
+  ['NOTIFICATION_CHANNELS', 'notifications.channels', 'json'],
+  ['NOTIFICATION_CHANNELS_FILE', 'notifications.channels', 'jsonFile'],
+  ['CUSTOMER_EMAIL_CHANNEL', 'notifications.customerChannel', 'string'],
+  ['NOTIFY_WEBHOOK_URL', 'notifications.webhookUrl', 'string'],
+  ['NOTIFY_WEBHOOK_SECRET', 'notifications.webhookSecret', 'string'],
+  ['NOTIFY_CHAT_WEBHOOK_URL', 'notifications.chatWebhookUrl', 'string'],
+  ['NOTIFY_CHAT_LEAD_URL', 'notifications.chatLeadUrl', 'string'],
+  ['PROPOSAL_PDF', 'notifications.proposalPdf', 'boolean'],
+  ['CUSTOMER_CONFIRMATION', 'notifications.customerConfirmation', 'boolean'],
+  ['CUSTOMER_PROPOSAL_PDF', 'notifications.customerProposalPdf', 'boolean'],
+  ['LEAD_RULES', 'routing.rules', 'json'],
+  ['LEAD_RULES_FILE', 'routing.rulesFile', 'string'],
+  ['PANEL_WATTAGE', 'calculator.panelWattage', 'number'],
+  ['ELECTRICITY_TARIFF', 'calculator.tariff', 'number'],
+  ['CALCULATION_TOLERANCE', 'calculator.tolerance', 'number'],
+  ['REJECT_UNKNOWN_FIELDS', 'submissions.rejectUnknownFields', 'boolean'],
+  ['RATE_LIMIT_WINDOW_MINUTES', 'abuse.rateLimitWindowMinutes', 'number'],
+  ['RATE_LIMIT_PER_IP', 'abuse.rateLimitPerIp', 'integer'],
+  ['RATE_LIMIT_PER_EMAIL', 'abuse.rateLimitPerEmail', 'integer'],
+  ['HONEYPOT_FIELD', 'abuse.honeypotField', 'string'],
+  ['FORM_MIN_FILL_SECONDS', 'abuse.formMinFillSeconds', 'number'],
+  ['FORM_TOKEN_REQUIRED', 'abuse.formTokenRequired', 'boolean'],
+  ['FORM_TOKEN_SECRET', 'abuse.formTokenSecret', 'string'],
+  ['DUPLICATE_WINDOW_HOURS', 'abuse.duplicateWindowHours', 'number'],
+  ['DRAFT_EXPIRY_DAYS', 'drafts.expiryDays', 'number'],
+  ['DRAFT_RESUME_URL', 'drafts.resumeUrl', 'string'],
+  ['PRIVACY_VERIFY_HOURS', 'privacy.verifyHours', 'number'],
+  ['PRIVACY_ERASURE_MODE', 'privacy.erasureMode', 'string'],
+  ['LEAD_RETENTION_DAYS', 'privacy.retentionDays', 'number'],
+  ['MAX_UPLOAD_FILES', 'uploads.maxFiles', 'integer'],
+  ['MAX_UPLOAD_FILE_MB', 'uploads.maxFileMb', 'number'],
+  ['MAX_UPLOAD_TOTAL_MB', 'uploads.maxTotalMb', 'number'],
+  ['UPLOAD_MIMETYPES', 'uploads.mimetypes', 'list'],
+  ['UPLOAD_PENDING_HOURS', 'uploads.pendingHours', 'number'],
+  ['UPLOAD_LINK_SECRET', 'uploads.linkSecret', 'string'],
+  ['UPLOAD_LINK_TTL_DAYS', 'uploads.linkTtlDays', 'number'],
+  ['IMAGE_LARGE_SIZE', 'uploads.largeSize', 'integer'],
+  ['IMAGE_THUMB_SIZE', 'uploads.thumbSize', 'integer'],
+  ['UPLOAD_STORAGE', 'uploads.storage', 'string'],
+  ['S3_ENDPOINT', 'uploads.s3.endpoint', 'string'],
+  ['S3_REGION', 'uploads.s3.region', 'string'],
+  ['S3_BUCKET', 'uploads.s3.bucket', 'string'],
+  ['S3_ACCESS_KEY_ID', 'uploads.s3.accessKeyId', 'string'],
+  ['S3_SECRET_ACCESS_KEY', 'uploads.s3.secretAccessKey', 'string'],
+  ['S3_PREFIX', 'uploads.s3.prefix', 'string'],
+  ['QUEUE_MAX_ATTEMPTS', 'queue.maxAttempts', 'integer'],
+  ['QUEUE_RETRY_BASE_MS', 'queue.retryBaseMs', 'integer'],
+  ['READINESS_TIMEOUT_MS', 'health.timeoutMs', 'integer'],
+  ['READINESS_CACHE_SECONDS', 'health.cacheSeconds', 'number'],
+  ['METRICS_TOKEN', 'metrics.token', 'string']
+];
+
+const STORAGE_TYPES = ['local', 's3'];
+const ERASURE_MODES = ['anonymise', 'delete'];
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Env var values as the setting's type. Values that don't convert are kept as given, for
+// validate() to report together with everything else
+const ENV_PARSERS = {
+  string: value => value,
+  integer: value => (/^\d+$/.test(value) ? parseInt(value, 10) : value),
+  number: value => (/^\d+(\.\d+)?$/.test(value) ? parseFloat(value) : value),
+  boolean: value => (['true', 'false'].includes(value.toLowerCase()) ? value.toLowerCase() === 'true' : value),
+  list: splitList,
+  trustProxy: value => {
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    if (value === 'true' || value === 'false') return value === 'true';
+    return value;
+  },
+  json: value => JSON.parse(value),
+  jsonFile: value => JSON.parse(fs.readFileSync(value, 'utf8'))
+};
+
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  keys.reduce((target, key) => target[key], object)[last] = value;
+}
+
+// Copy `source` into `target`, section by section; lists and other values replace what was there.
+// A section left empty in a file (null) keeps its settings
+function merge(target, source) {
+  Object.keys(source).forEach(key => {
+    if (isPlainObject(target[key]) && source[key] === null) return;
+    if (isPlainObject(target[key]) && isPlainObject(source[key])) {
+      merge(target[key], source[key]);
+    } else {
+      target[key] = source[key];
+    }
+  });
+  return target;
+}
+
+// Setting names in a config file that don't exist, e.g. a misspelt key that would be silently ignored
+function unknownKeys(values, defaults, prefix = '') {
+  return Object.keys(values).flatMap(key => {
+    const keyPath = `${prefix}${key}`;
+    if (!(key in defaults)) return [keyPath];
+    return isPlainObject(defaults[key]) && isPlainObject(values[key])
+      ? unknownKeys(values[key], defaults[key], `${keyPath}.`)
+      : [];
+  });
+}
+
+// The first config/<name>.(yaml|yml|json) that exists, parsed; null when there is none
+function readConfigFile(dir, name) {
+  for (const extension of FILE_EXTENSIONS) {
+    const file = path.join(dir, `${name}${extension}`);
+    if (!fs.existsSync(file)) continue;
+
+    const raw = fs.readFileSync(file, 'utf8');
+    const values = extension === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+    return { file: path.relative(process.cwd(), file) || file, values: values || {} };
+  }
+  return null;
+}
+
+// Replace "${NAME}" references in every string of a parsed value with the env var's value
+function interpolateEnv(value, env) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => env[name] || '');
+  }
+  if (Array.isArray(value)) return value.map(item => interpolateEnv(item, env));
+  if (isPlainObject(value)) {
+    return Object.keys(value).reduce((result, key) => ({ ...result, [key]: interpolateEnv(value[key], env) }), {});
+  }
+  return value;
+}
+
+// A CORS origin setting as a test, or null when it is not a valid pattern
+function originMatcher(pattern) {
+  if (typeof pattern !== 'string') return null;
+
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    try {
+      const expression = new RegExp(regex[1], regex[2]);
+      return origin => expression.test(origin);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // scheme://host[:port], where the host may start with "*." for any subdomain
+  const origin = pattern.match(/^(https?):\/\/(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(:\d{1,5})?$/i);
+  if (!origin) return null;
+
+  const [, scheme, wildcard, host, port = ''] = origin;
+  if (!wildcard) return candidate => candidate === pattern;
+
+  const subdomains = '[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.';
+  const expression = new RegExp(`^${scheme}://${subdomains}${host.replace(/\./g, '\\.')}${port}$`, 'i');
+  return candidate => expression.test(candidate);
+}
+
+/**
+ * A test for whether a request's Origin header is one of `patterns` (see cors.origins)
+ */
+function originAllowed(patterns) {
+  const matchers = patterns.map(originMatcher).filter(Boolean);
+  return origin => matchers.some(matches => matches(origin));
+}
+
+const isEmail = value => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+const isHttpUrl = value => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Whether an enabled channel definition has what its type needs to send anything
+function channelUsable(channel) {
+  if (!isPlainObject(channel) || channel.enabled === false) return false;
+  if (channel.type === 'smtp') return Boolean((channel.host || channel.service) && channel.to);
+  return ['webhook', 'chat'].includes(channel.type) && isHttpUrl(channel.url);
+}
+
+// Whether any notification channel could deliver a lead; otherwise leads would reach nobody
+function hasUsableChannel({ email, notifications }) {
+  if (notifications.channels !== null) {
+    return Array.isArray(notifications.channels) && notifications.channels.some(channelUsable);
+  }
+  return Boolean(((email.host || email.user) && email.recipient) || notifications.webhookUrl || notifications.chatWebhookUrl);
+}
+
+/**
+ * Problems with the recipients of the routes in lead routing rules: `to` and `cc` must be email
+ * addresses (or lists of them). Checked here for inline rules and by lib/leadRouting for a rules file.
+ */
+function routeRecipientProblems(rules) {
+  const routes = isPlainObject(rules) && Array.isArray(rules.routes) ? rules.routes : [];
+  const problems = [];
+  routes.forEach((route, index) => {
+    if (!isPlainObject(route)) return;
+    ['to', 'cc'].forEach(key => {
+      if (route[key] === undefined || route[key] === null) return;
+      (Array.isArray(route[key]) ? route[key] : [route[key]])
+        .filter(address => !isEmail(address))
+        .forEach(address => problems.push(`route '${route.name || index + 1}' ${key}: ${JSON.stringify(address)} is not an email address`));
+    });
+  });
+  return problems;
+}
+
+// Every problem with a merged config, as messages naming the setting (and where it was set)
+function validate(config, sources) {
+  const problems = [];
+  const problem = (keyPath, message) => {
+    const source = sources[keyPath] ? ` (${sources[keyPath]})` : '';
+    problems.push(`${keyPath}${source}: ${message}`);
+  };
+  const value = keyPath => getPath(config, keyPath);
+  const show = keyPath => JSON.stringify(value(keyPath));
+
+  const positiveInteger = keyPath => {
+    if (!Number.isInteger(value(keyPath)) || value(keyPath) < 1) problem(keyPath, `must be a whole number above 0, got ${show(keyPath)}`);
+  };
+  const positiveNumber = keyPath => {
+    if (typeof value(keyPath) !== 'number' || !(value(keyPath) > 0)) problem(keyPath, `must be a number above 0, got ${show(keyPath)}`);
+  };
+  const nonNegativeNumber = keyPath => {
+    if (typeof value(keyPath) !== 'number' || !(value(keyPath) >= 0)) problem(keyPath, `must be a number of 0 or more, got ${show(keyPath)}`);
+  };
+  const nonEmptyString = keyPath => {
+    if (typeof value(keyPath) !== 'string' || !value(keyPath)) problem(keyPath, `must be text, got ${show(keyPath)}`);
+  };
+  const optionalString = keyPath => {
+    if (value(keyPath) !== null) nonEmptyString(keyPath);
+  };
+  const boolean = keyPath => {
+    if (typeof value(keyPath) !== 'boolean') problem(keyPath, `must be true or false, got ${show(keyPath)}`);
+  };
+  const portNumber = keyPath => {
+    const port = value(keyPath);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) problem(keyPath, `must be a port number (0-65535), got ${show(keyPath)}`);
+  };
+  const stringList = keyPath => {
+    const list = value(keyPath);
+    if (!Array.isArray(list) || !list.every(item => typeof item === 'string')) {
+      problem(keyPath, `must be a list of strings, got ${show(keyPath)}`);
+      return false;
+    }
+    return true;
+  };
+
+  // server
+  portNumber('server.port');
+  if (!isHttpUrl(config.server.publicUrl)) problem('server.publicUrl', `must be an http(s) URL, got ${show('server.publicUrl')}`);
+  boolean('server.keepAlive');
+  if (config.server.dataDir !== null && (typeof config.server.dataDir !== 'string' || !config.server.dataDir)) {
+    problem('server.dataDir', `must be a directory path, got ${show('server.dataDir')}`);
+  }
+  const { trustProxy } = config.server;
+  if (!['number', 'boolean', 'string'].includes(typeof trustProxy)
+    && !(Array.isArray(trustProxy) && trustProxy.every(item => typeof item === 'string'))) {
+    problem('server.trustProxy', 'must be a hop count, true/false or a list of addresses');
+  }
+
+  // admin
+  if (stringList('admin.tokens')) {
+    config.admin.tokens.filter(entry => !entry.slice(entry.indexOf(':') + 1).trim()).forEach(entry => {
+      problem('admin.tokens', `'${entry}' has no token after the name`);
+    });
+  }
+
+  // cors
+  if (stringList('cors.origins')) {
+    config.cors.origins.filter(origin => !originMatcher(origin)).forEach(origin => {
+      problem('cors.origins', `'${origin}' is not an origin (scheme://host[:port], no path or trailing slash), `
+        + 'a wildcard like https://*.example.com or a /regular expression/');
+    });
+  }
+
+  // email
+  const { email, notifications } = config;
+  const emailConfigured = Boolean(email.host || email.user);
+  portNumber('email.port');
+  boolean('email.secure');
+  if (email.user && !email.password) problem('email.password', 'is required when email.user is set (EMAIL_PASSWORD or SMTP_PASSWORD)');
+  if (email.from && !isEmail(email.from)) problem('email.from', `must be an email address, got ${show('email.from')}`);
+  if (email.host && !email.user && !email.from) problem('email.from', 'is required when the SMTP server has no user (EMAIL_FROM)');
+  if (emailConfigured && !notifications.channels) {
+    if (!email.recipient) {
+      problem('email.recipient', 'is required to send lead notifications by email (RECIPIENT_EMAIL)');
+    } else if (!isEmail(email.recipient)) {
+      problem('email.recipient', `must be an email address, got ${show('email.recipient')}`);
+    }
+  }
+  if (stringList('email.cc')) {
+    email.cc.filter(address => !isEmail(address)).forEach(address => problem('email.cc', `'${address}' is not an email address`));
+  }
+  nonEmptyString('email.brand');
+  optionalString('email.locale');
+  positiveNumber('email.rateLimit');
+
+  // notifications
+  if (notifications.channels !== null) {
+    if (!Array.isArray(notifications.channels)) {
+      problem('notifications.channels', 'must be a list of channels');
+    } else {
+      notifications.channels.forEach((channel, index) => {
+        if (!isPlainObject(channel) || typeof channel.type !== 'string') {
+          problem('notifications.channels', `channel ${index + 1} needs a type (smtp, webhook or chat)`);
+        }
+      });
+    }
+  }
+  ['webhookUrl', 'chatWebhookUrl'].forEach(key => {
+    if (notifications[key] && !isHttpUrl(notifications[key])) problem(`notifications.${key}`, `must be an http(s) URL, got ${show(`notifications.${key}`)}`);
+  });
+  if (!hasUsableChannel(config)) {
+    problem('notifications', 'no channel can deliver lead notifications: set email.host or email.user with '
+      + 'email.recipient, notifications.webhookUrl, notifications.chatWebhookUrl or notifications.channels');
+  }
+  ['proposalPdf', 'customerConfirmation', 'customerProposalPdf'].forEach(key => boolean(`notifications.${key}`));
+
+  // routing
+  if (config.routing.rules !== null && !isPlainObject(config.routing.rules)) {
+    problem('routing.rules', 'must hold regions, scoring and routes');
+  }
+  routeRecipientProblems(config.routing.rules).forEach(message => problem('routing.rules', message));
+  optionalString('routing.rulesFile');
+
+  // calculator, submissions and abuse protection
+  positiveNumber('calculator.panelWattage');
+  positiveNumber('calculator.tariff');
+  positiveNumber('calculator.tolerance');
+  boolean('submissions.rejectUnknownFields');
+  positiveNumber('abuse.rateLimitWindowMinutes');
+  positiveInteger('abuse.rateLimitPerIp');
+  positiveInteger('abuse.rateLimitPerEmail');
+  nonEmptyString('abuse.honeypotField');
+  nonNegativeNumber('abuse.formMinFillSeconds');
+  boolean('abuse.formTokenRequired');
+  optionalString('abuse.formTokenSecret');
+  positiveNumber('abuse.duplicateWindowHours');
+
+  // drafts and privacy
+  positiveNumber('drafts.expiryDays');
+  if (config.drafts.resumeUrl !== null && !isHttpUrl(config.drafts.resumeUrl)) {
+    problem('drafts.resumeUrl', `must be an http(s) URL, got ${show('drafts.resumeUrl')}`);
+  }
+  positiveNumber('privacy.verifyHours');
+  if (!ERASURE_MODES.includes(config.privacy.erasureMode)) {
+    problem('privacy.erasureMode', `must be ${ERASURE_MODES.join(' or ')}, got ${show('privacy.erasureMode')}`);
+  }
+  if (config.privacy.retentionDays !== null) positiveNumber('privacy.retentionDays');
+
+  // uploads
+  positiveInteger('uploads.maxFiles');
+  positiveNumber('uploads.maxFileMb');
+  positiveNumber('uploads.maxTotalMb');
+  if (stringList('uploads.mimetypes')) {
+    if (config.uploads.mimetypes.length === 0) problem('uploads.mimetypes', 'must list at least one type');
+    config.uploads.mimetypes.filter(type => !SUPPORTED_MIMETYPES.includes(type)).forEach(type => {
+      problem('uploads.mimetypes', `'${type}' is not supported (expected ${SUPPORTED_MIMETYPES.join(', ')})`);
+    });
+  }
+  positiveNumber('uploads.pendingHours');
+  optionalString('uploads.linkSecret');
+  positiveNumber('uploads.linkTtlDays');
+  positiveInteger('uploads.largeSize');
+  positiveInteger('uploads.thumbSize');
+  if (!STORAGE_TYPES.includes(config.uploads.storage)) {
+    problem('uploads.storage', `must be ${STORAGE_TYPES.join(' or ')}, got ${show('uploads.storage')}`);
+  } else if (config.uploads.storage === 's3') {
+    [['bucket', 'S3_BUCKET'], ['accessKeyId', 'S3_ACCESS_KEY_ID'], ['secretAccessKey', 'S3_SECRET_ACCESS_KEY']]
+      .filter(([key]) => !config.uploads.s3[key])
+      .forEach(([key, name]) => problem(`uploads.s3.${key}`, `is required when uploads.storage is s3 (${name})`));
+  }
+
+  // queue and health
+  positiveInteger('queue.maxAttempts');
+  positiveInteger('queue.retryBaseMs');
+  positiveInteger('health.timeoutMs');
+  nonNegativeNumber('health.cacheSeconds');
+
+  return problems;
+}
+
+function configError(problems) {
+  const error = new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  error.code = 'INVALID_CONFIG';
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Build and check the configuration. `env` defaults to process.env; `dir` is where the
+ * config files are (CONFIG_DIR, else config/). Throws an INVALID_CONFIG error listing every
+ * problem (with `problems` holding the messages); otherwise returns the frozen config.
+ */
+function loadConfig({ env = process.env, environment = env.NODE_ENV || 'development', dir = env.CONFIG_DIR || DEFAULT_DIR } = {}) {
+  const config = JSON.parse(JSON.stringify(DEFAULTS));
+  const sources = {};
+  const problems = [];
+
+  // Record which file or env var gave each leaf setting, for the error messages
+  const recordSources = (values, source, prefix = '') => {
+    Object.keys(values).forEach(key => {
+      if (isPlainObject(values[key]) && isPlainObject(getPath(DEFAULTS, `${prefix}${key}`))) {
+        recordSources(values[key], source, `${prefix}${key}.`);
+      } else {
+        sources[`${prefix}${key}`] = source;
+      }
+    });
+  };
+
+  ['default', environment].forEach(name => {
+    let loaded;
+    try {
+      loaded = readConfigFile(dir, name);
+    } catch (error) {
+      problems.push(`config/${name}: could not be read: ${error.message}`);
+      return;
+    }
+    if (!loaded) return;
+
+    if (!isPlainObject(loaded.values)) {
+      problems.push(`${loaded.file}: must hold settings by section (server, cors, email, ...)`);
+      return;
+    }
+    unknownKeys(loaded.values, DEFAULTS).forEach(key => problems.push(`${loaded.file}: unknown setting '${key}'`));
+    merge(config, loaded.values);
+    recordSources(loaded.values, loaded.file);
+  });
+
+  ENV_VARS.forEach(([name, keyPath, type]) => {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return;
+
+    try {
+      setPath(config, keyPath, ENV_PARSERS[type](raw));
+      sources[keyPath] = name;
+    } catch (error) {
+      problems.push(`${keyPath} (${name}): ${error.message}`);
+    }
+  });
+
+  // Channel definitions are usually committed, with their secrets in env vars
+  if (config.notifications.channels !== null) {
+    const { channels } = config.notifications;
+    config.notifications.channels = interpolateEnv(isPlainObject(channels) && channels.channels ? channels.channels : channels, env);
+  }
+  config.server.publicUrl = typeof config.server.publicUrl === 'string'
+    ? config.server.publicUrl.replace(/\/+$/, '')
+    : config.server.publicUrl;
+
+  problems.push(...validate(config, sources));
+  if (problems.length > 0) throw configError(problems);
+
+  return deepFreeze({ environment, ...config });
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+let current = null;
+
+// The scope of the app handling the current request or job: { config, mailTransport }
+const scopes = new AsyncLocalStorage();
+
+/**
+ * The configuration in use: the current scope's (see runInScope), otherwise the process
+ * default given to use(), otherwise loaded from the environment on first call
+ */
+function get() {
+  const scope = scopes.getStore();
+  if (scope) return scope.config;
+
+  if (!current) current = loadConfig();
+  return current;
+}
+
+/**
+ * Make `config` (from loadConfig) the process default, read outside any app's scope
+ */
+function use(config) {
+  current = config;
+}
+
+/**
+ * Run `fn` in `scope` ({ config, mailTransport }): get() and currentScope() return it there and
+ * in everything `fn` sets off (callbacks, timers, promises). A null scope runs it outside any.
+ */
+function runInScope(scope, fn) {
+  return scopes.run(scope || null, fn);
+}
+
+/**
+ * The scope in use, or null outside any
+ */
+function currentScope() {
+  return scopes.getStore() || null;
+}
+
+/**
+ * Middleware: re-enter the app's scope (app.locals.configScope) after a body parser whose stream
+ * callbacks lose it
+ */
+function restoreScope(req, res, next) {
+  runInScope(req.app.locals.configScope, next);
+}
+
+module.exports = {
+  DEFAULTS,
+  ENV_VARS,
+  loadConfig,
+  originAllowed,
+  routeRecipientProblems,
+  get,
+  use,
+  runInScope,
+  currentScope,
+  restoreScope
+};
@@ -0,0 +1,23 @@
+/**
+ * Minimal CSV writer for report exports (RFC 4180 quoting).
+ * Text cells starting with =, +, - or @ get a leading apostrophe so spreadsheets don't run them as formulas.
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows (objects) to CSV text; `columns` picks and orders the keys and is also the header row
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(csvCell).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => csvCell(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  toCsv
+};
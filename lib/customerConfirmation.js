@@ -0,0 +1,164 @@
+/**
+ * Optional acknowledgement email to the customer who submitted a quote request.
+ * Sent through the job queue like the internal notifications. Enabled unless
+ * notifications.customerConfirmation is off, and only for customers who gave an email address
+ * and asked to be contacted by email (or didn't pick a contact method).
+ * notifications.customerProposalPdf also attaches the PDF proposal.
+ *
+ * Kept separate from the internal notification: it only shows what the customer entered,
+ * in customer-friendly terms, and carries their reference and privacy links.
+ * The layout lives in templates/customer-confirmation.*.hbs.
+ */
+const jobQueue = require('./jobQueue');
+const leadStore = require('./leadStore');
+const notifications = require('./notifications');
+const { proposalAttachment } = require('./proposalPdf');
+const templates = require('./templates');
+const publicUrl = require('./publicUrl');
+const config = require('./config');
+
+const CONFIRMATION_JOB = 'customer-confirmation';
+
+/**
+ * How many business days the team aims to respond within, based on how soon the customer wants to buy
+ */
+function expectedResponseDays(purchaseTimeline) {
+  const timeline = String(purchaseTimeline || '').toLowerCase();
+
+  if (/immediate|asap|urgent|\bnow\b|within[- ]?1[- ]?month|1[- ]?month/.test(timeline)) {
+    return 1;
+  }
+  if (/1[- ]?(-|to)[- ]?3|3[- ]?months?/.test(timeline)) {
+    return 2;
+  }
+  if (/research|just|not sure|undecided|later|12|year/.test(timeline)) {
+    return 5;
+  }
+  if (timeline) {
+    return 3;
+  }
+  return 2;
+}
+
+// The system details the customer saw in their calculator, as translation key/value pairs
+function systemSummary(lead) {
+  const fields = lead.fields;
+  const rows = lead.calculatorMode === 'advanced'
+    ? [
+      ['label.systemType', fields.systemType],
+      ['label.orientation', fields.orientation],
+      ['label.tilt', fields.tilt !== undefined ? `${fields.tilt}°` : undefined],
+      ['label.systemSize', fields.systemSize],
+      ['label.annualOutput', fields.annualOutput],
+      ['label.monthlySavings', fields.monthlySavings]
+    ]
+    : [
+      ['label.solarPanels', fields.solarPanels],
+      ['label.battery', fields.battery],
+      ['label.systemSize', fields.systemSize],
+      ['label.dailyEnergy', fields.dailyEnergy]
+    ];
+
+  return rows
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([label, value]) => ({ label, value }));
+}
+
+// Everything the customer-confirmation templates show for a lead
+function confirmationEmailData(lead, links) {
+  return {
+    reference: lead.id,
+    modeKey: `mode.${lead.calculatorMode}`,
+    fields: lead.fields,
+    summary: systemSummary(lead),
+    responseDays: expectedResponseDays(lead.fields.purchaseTimeline),
+    links
+  };
+}
+
+/**
+ * Render the subject, HTML and plain-text bodies for a lead's confirmation email, in the
+ * locale the customer used on the form. `links` holds the absolute `unsubscribe` and `dataDeletion` URLs.
+ */
+function buildConfirmationEmail(lead, links) {
+  return templates.renderEmail('customer-confirmation', {
+    mode: lead.calculatorMode,
+    brand: lead.brand,
+    locale: lead.fields.locale,
+    data: confirmationEmailData(lead, links)
+  });
+}
+
+/**
+ * Absolute URLs a customer can use to act on their own lead
+ */
+function customerLinks(lead) {
+  const token = encodeURIComponent(lead.customerToken);
+  return {
+    unsubscribe: `${publicUrl()}/api/customer/unsubscribe?token=${token}`,
+    dataDeletion: `${publicUrl()}/api/customer/data-deletion?token=${token}`
+  };
+}
+
+function shouldConfirm(lead) {
+  const { email, contactMethod } = lead.fields;
+  return config.get().notifications.customerConfirmation
+    && Boolean(email)
+    && (!contactMethod || contactMethod === 'email');
+}
+
+/**
+ * Queue the confirmation email for a new lead if it qualifies; resolves with whether it was queued
+ */
+async function queueConfirmation(lead) {
+  if (!shouldConfirm(lead)) return false;
+
+  await leadStore.patchLead(lead.id, { confirmation: { status: 'queued' } });
+  await jobQueue.enqueue(CONFIRMATION_JOB, { leadId: lead.id });
+  return true;
+}
+
+async function sendConfirmation({ leadId }) {
+  const lead = leadStore.getLead(leadId);
+  if (!lead) throw new Error(`Lead ${leadId} no longer exists`);
+
+  // The customer may have unsubscribed before a retried job ran
+  if (lead.unsubscribed) {
+    await leadStore.patchLead(leadId, { confirmation: { status: 'skipped', reason: 'unsubscribed' } });
+    return { skipped: true };
+  }
+
+  const mailer = notifications.getCustomerMailer();
+  if (!mailer) throw new Error('No SMTP channel is configured for customer emails');
+
+  const links = customerLinks(lead);
+  const email = buildConfirmationEmail(lead, links);
+  const attachments = config.get().notifications.customerProposalPdf ? [await proposalAttachment(lead)] : [];
+  const detail = await mailer.sendMessage({
+    to: lead.fields.email,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    attachments,
+    headers: {
+      'X-Lead-Id': lead.id,
+      // Lets mail clients offer their own unsubscribe button
+      'List-Unsubscribe': `<${links.unsubscribe}>`
+    }
+  });
+
+  await leadStore.patchLead(leadId, { confirmation: { status: 'sent', at: new Date().toISOString(), ...detail } });
+  return detail;
+}
+
+jobQueue.registerHandler(CONFIRMATION_JOB, sendConfirmation, {
+  onDead: job => leadStore.patchLead(job.payload.leadId, {
+    confirmation: { status: 'failed', error: job.lastError }
+  })
+});
+
+module.exports = {
+  confirmationEmailData,
+  customerLinks,
+  queueConfirmation
+};
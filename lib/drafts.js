@@ -0,0 +1,215 @@
+/**
+ * Saved, unfinished quote requests ("drafts") a customer can come back to.
+ *
+ * A draft holds any calculator's fields under their form names, validated but with nothing
+ * required. It is found again through its secret token, which the resume link carries:
+ * drafts.resumeUrl in the config (the calculator page, e.g. https://example.com/advanced.html)
+ * or, without it, the site the draft was saved from, with ?draft=<token> added. The link can be
+ * emailed to the customer through the job queue. Drafts expire drafts.expiryDays (default 30)
+ * after they were last saved; a submitted draft can't be used again.
+ */
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+const jobQueue = require('./jobQueue');
+const notifications = require('./notifications');
+const templates = require('./templates');
+const validation = require('./validation');
+const { dataPath } = require('./paths');
+const config = require('./config');
+const logger = require('./logger');
+
+const store = new JsonStore(() => dataPath('drafts.json'));
+
+const RESUME_LINK_JOB = 'draft-resume-link';
+
+/**
+ * Validate calculator fields (form names) for a draft. Returns { calculatorMode, fields, errors };
+ * the mode is the declared or detected one, or null while there is too little to tell.
+ */
+function validateDraft(body) {
+  const { value: fields, errors } = validation.validate(validation.DRAFT_SCHEMA, body, {
+    rejectUnknown: config.get().submissions.rejectUnknownFields
+  });
+  return { calculatorMode: validation.detectMode(fields) || null, fields, errors };
+}
+
+/**
+ * The calculator page drafts saved from `origin` are resumed on, as a URL, or null when there is none
+ */
+function resumePage(origin) {
+  const page = config.get().drafts.resumeUrl || origin;
+  try {
+    return page ? new URL(page) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The link that reopens a draft in the calculator, or null when there is no page to send the customer to
+ */
+function resumeUrl(draft) {
+  const url = resumePage(draft.origin);
+  if (!url) return null;
+
+  url.searchParams.set('draft', draft.token);
+  return url.toString();
+}
+
+const isExpired = draft => draft.expiresAt <= new Date().toISOString();
+
+// When a draft saved at `now` expires
+const expiryFrom = now => new Date(now.getTime() + config.get().drafts.expiryDays * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * The draft for a resume token. Returns null when it doesn't exist or has expired.
+ */
+function findByToken(token) {
+  if (!token) return null;
+  const draft = store.all().find(record => record.token === token);
+  return draft && !isExpired(draft) ? draft : null;
+}
+
+/**
+ * Drafts saved with this email address, or whose resume link was sent to it (submitted drafts
+ * from before markSubmitted dropped the address still have it there)
+ */
+function findByEmail(email) {
+  if (!email) return [];
+  const normalised = String(email).trim().toLowerCase();
+  return store.all().filter(draft => draft.fields.email === normalised ||
+    (draft.resumeEmail && String(draft.resumeEmail.to || '').toLowerCase() === normalised));
+}
+
+/**
+ * Save new calculator state. `origin` is the site it was saved from (for the resume link and brand).
+ * Resolves with the stored draft.
+ */
+async function createDraft({ calculatorMode, fields, origin }) {
+  await purgeExpired();
+
+  const now = new Date();
+  return store.insert({
+    id: `dr_${crypto.randomBytes(8).toString('hex')}`,
+    token: crypto.randomBytes(24).toString('hex'),
+    calculatorMode,
+    brand: templates.brandForOrigin(origin),
+    origin: origin || null,
+    fields,
+    resumeEmail: null,
+    leadId: null,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: expiryFrom(now)
+  });
+}
+
+/**
+ * Replace a draft's fields; saving again restarts its expiry. Resolves with the draft.
+ */
+async function saveDraft(id, { calculatorMode, fields }) {
+  return store.update(id, draft => {
+    const now = new Date();
+    draft.calculatorMode = calculatorMode;
+    draft.fields = fields;
+    draft.updatedAt = now.toISOString();
+    draft.expiresAt = expiryFrom(now);
+  });
+}
+
+async function deleteDraft(id) {
+  return store.remove(id);
+}
+
+/**
+ * Record the lead a draft became; it can't be opened or submitted again after this, and its
+ * fields and the address its resume link went to are dropped since the lead holds them now
+ */
+async function markSubmitted(id, leadId) {
+  return store.update(id, draft => {
+    draft.fields = {};
+    if (draft.resumeEmail) delete draft.resumeEmail.to;
+    draft.leadId = leadId;
+    draft.submittedAt = new Date().toISOString();
+  });
+}
+
+/**
+ * Queue the email with the resume link to the address in the draft. The caller checks there is
+ * an address and a resume page (resumePage).
+ */
+async function queueResumeLink(draft) {
+  await store.update(draft.id, record => {
+    record.resumeEmail = { status: 'queued', to: draft.fields.email };
+  });
+  await jobQueue.enqueue(RESUME_LINK_JOB, { draftId: draft.id });
+}
+
+// Everything the draft-resume templates show
+function draftEmailData(draft, link) {
+  const { locale } = templates.translator(draft.fields.locale);
+  return {
+    fields: draft.fields,
+    modeKey: `mode.${draft.calculatorMode || 'unknown'}`,
+    resumeUrl: link,
+    expiresOn: new Date(draft.expiresAt).toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' })
+  };
+}
+
+async function sendResumeLink({ draftId }) {
+  const draft = store.get(draftId);
+
+  // The draft may have been submitted, deleted or expired before a retried job ran
+  if (!draft || draft.leadId || isExpired(draft)) return { skipped: true };
+
+  const mailer = notifications.getCustomerMailer();
+  if (!mailer) throw new Error('No SMTP channel is configured for customer emails');
+
+  const email = templates.renderEmail('draft-resume', {
+    mode: draft.calculatorMode,
+    brand: draft.brand,
+    locale: draft.fields.locale,
+    data: draftEmailData(draft, resumeUrl(draft))
+  });
+  const detail = await mailer.sendMessage({
+    to: draft.fields.email,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    headers: { 'X-Draft-Id': draft.id }
+  });
+
+  await store.update(draftId, record => {
+    record.resumeEmail = { status: 'sent', to: draft.fields.email, at: new Date().toISOString(), ...detail };
+  });
+  return detail;
+}
+
+jobQueue.registerHandler(RESUME_LINK_JOB, sendResumeLink, {
+  onDead: job => store.update(job.payload.draftId, record => {
+    record.resumeEmail = { ...record.resumeEmail, status: 'failed', error: job.lastError };
+  })
+});
+
+// Forget drafts past their expiry, submitted or not
+async function purgeExpired() {
+  const expired = store.all().filter(isExpired);
+  for (const draft of expired) {
+    await store.remove(draft.id);
+  }
+  if (expired.length > 0) logger.info('Purged expired drafts', { count: expired.length });
+}
+
+module.exports = {
+  validateDraft,
+  resumePage,
+  resumeUrl,
+  findByToken,
+  findByEmail,
+  createDraft,
+  saveDraft,
+  deleteDraft,
+  markSubmitted,
+  queueResumeLink,
+  draftEmailData
+};
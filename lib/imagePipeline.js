@@ -0,0 +1,143 @@
+/**
+ * Checks and prepares uploaded site photos before anything is stored.
+ * The file's real type comes from its leading bytes, not the client-declared mimetype.
+ * Every stored copy is re-encoded without metadata, so EXIF GPS positions never reach disk or email.
+ * The uploaded bytes themselves are never kept: for each photo we store a full-resolution copy
+ * (`full`, in the upload's format, JPEG at quality 90), a copy resized for viewing, and a thumbnail.
+ * The count, size and type limits and the resized sizes are the `uploads` section of the config
+ * (lib/config).
+ */
+const sharp = require('sharp');
+
+// Refuse images that would decode to more pixels than this (decompression bombs)
+const MAX_PIXELS = 50 * 1000 * 1000;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Image formats the pipeline can check, and how to recognise them from their first bytes.
+// Which of them are accepted is configured (uploads.mimetypes)
+const IMAGE_TYPES = [
+  {
+    mimetype: 'image/jpeg',
+    label: 'JPEG',
+    extension: 'jpg',
+    format: 'jpeg',
+    matches: buffer => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  {
+    mimetype: 'image/png',
+    label: 'PNG',
+    extension: 'png',
+    format: 'png',
+    matches: buffer => buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)
+  },
+  {
+    mimetype: 'image/webp',
+    label: 'WebP',
+    extension: 'webp',
+    format: 'webp',
+    matches: buffer => buffer.length > 12
+      && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+  }
+];
+
+const SUPPORTED_MIMETYPES = IMAGE_TYPES.map(type => type.mimetype);
+
+/**
+ * The accepted types for a user-facing message, e.g. "JPEG or PNG"
+ */
+function describeTypes(mimetypes) {
+  const labels = IMAGE_TYPES.filter(type => mimetypes.includes(type.mimetype)).map(type => type.label);
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}` : labels.join('');
+}
+
+function uploadError(code, message, field) {
+  const error = new Error(message);
+  error.code = code;
+  error.field = field;
+  return error;
+}
+
+/**
+ * The image type a buffer really contains, or null when it isn't one of `mimetypes`
+ */
+function detectImageType(buffer, mimetypes = SUPPORTED_MIMETYPES) {
+  const type = IMAGE_TYPES.find(candidate => candidate.matches(buffer));
+  return type && mimetypes.includes(type.mimetype) ? type : null;
+}
+
+// Resized JPEG copy that fits inside a `size` x `size` box (never enlarged)
+function resizedJpeg(image, size, quality) {
+  return image.clone()
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality })
+    .toBuffer();
+}
+
+async function processImage(file, { mimetypes, largeSize, thumbSize }) {
+  const type = detectImageType(file.buffer, mimetypes);
+  if (!type) {
+    throw uploadError('INVALID_UPLOAD', `File content is not a ${describeTypes(mimetypes)} image`, file.fieldname);
+  }
+
+  // Any decoding failure, however far into the file, means the upload isn't a usable image
+  let full;
+  let large;
+  let thumb;
+  try {
+    // rotate() bakes the EXIF orientation into the pixels before the metadata is dropped
+    const image = sharp(file.buffer, { limitInputPixels: MAX_PIXELS }).rotate();
+    [full, large, thumb] = await Promise.all([
+      image.clone()
+        .toFormat(type.format, type.format === 'jpeg' ? { quality: 90 } : {})
+        .toBuffer({ resolveWithObject: true }),
+      resizedJpeg(image, largeSize, 80),
+      resizedJpeg(image, thumbSize, 70)
+    ]);
+  } catch (error) {
+    throw uploadError('INVALID_UPLOAD', `Image could not be read: ${error.message}`, file.fieldname);
+  }
+
+  return {
+    fieldname: file.fieldname,
+    originalname: file.originalname,
+    mimetype: type.mimetype,
+    extension: type.extension,
+    width: full.info.width,
+    height: full.info.height,
+    full: full.data,
+    large,
+    thumb
+  };
+}
+
+/**
+ * Check a submission's files against the limits ({ maxFiles, maxTotalMb, mimetypes, largeSize,
+ * thumbSize }, the config's uploads section) and turn each into sanitised copies. Rejects with an error whose
+ * `code` is UPLOAD_LIMIT or INVALID_UPLOAD (with `field`).
+ */
+async function processUploads(files = [], { maxFiles, maxTotalMb, mimetypes, largeSize, thumbSize }) {
+  if (files.length > maxFiles) {
+    throw uploadError('UPLOAD_LIMIT', `At most ${maxFiles} files can be uploaded`);
+  }
+
+  const totalBytes = files.reduce((total, file) => total + file.size, 0);
+  if (totalBytes > maxTotalMb * 1024 * 1024) {
+    throw uploadError('UPLOAD_LIMIT', `Uploads must total at most ${maxTotalMb}MB`);
+  }
+
+  // One at a time: decoding several large photos at once uses a lot of memory
+  const images = [];
+  for (const file of files) {
+    images.push(await processImage(file, { mimetypes, largeSize, thumbSize }));
+  }
+  return images;
+}
+
+module.exports = {
+  SUPPORTED_MIMETYPES,
+  describeTypes,
+  detectImageType,
+  processUploads
+};
@@ -0,0 +1,213 @@
+/**
+ * Offline solar-resource lookups.
+ * Reads monthly global horizontal irradiance (GHI) from resources/irradiance-grid.json and
+ * transposes it onto a tilted, oriented array so production can be estimated without calling
+ * external APIs. The bundled grid is a coarse modelled climatology (scripts/build-irradiance-grid.js);
+ * scripts/import-irradiance.js replaces it with measured NASA POWER climatology exports.
+ * The transposition follows the classic monthly-average method (Duffie & Beckman): Erbs diffuse
+ * fraction, Collares-Pereira & Rabl / Liu & Jordan hourly distribution and an isotropic sky.
+ * Without the file, or outside the area it covers, there is no profile and callers fall back to
+ * their defaults.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const GRID_PATH = path.join(__dirname, '..', 'resources', 'irradiance-grid.json');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Day of year whose extraterrestrial radiation best represents each month's average (Klein, 1977)
+const REPRESENTATIVE_DAYS = [17, 47, 75, 105, 135, 162, 198, 228, 258, 288, 318, 344];
+
+// Solar constant in kW/m²
+const SOLAR_CONSTANT = 1.367;
+
+// Reflectance of the ground in front of the array
+const DEFAULT_ALBEDO = 0.2;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+// The grid is read on first use; null when the file has been removed
+let grid;
+function loadGrid() {
+  if (grid === undefined) {
+    grid = fs.existsSync(GRID_PATH) ? JSON.parse(fs.readFileSync(GRID_PATH, 'utf8')) : null;
+  }
+  return grid;
+}
+
+/**
+ * Where the irradiance data comes from, or null when there is none
+ */
+function dataSource() {
+  const data = loadGrid();
+  return data ? data.source : null;
+}
+
+// Grid position of `value` along one axis: the cell at or below it and how far towards the next
+// one it lies, or null outside the grid
+function cellIndex(start, step, count, value) {
+  const position = (value - start) / step;
+  if (position < 0 || position > count - 1) return null;
+  const index = Math.min(Math.floor(position), count - 2);
+  return { index, fraction: position - index };
+}
+
+/**
+ * Monthly average daily GHI in kWh/m²/day for a coordinate, bilinearly interpolated from the
+ * grid. Null when there is no data for the coordinate.
+ */
+function lookupMonthlyGhi(latitude, longitude) {
+  const data = loadGrid();
+  if (!data) return null;
+  const { latStart, lonStart, latStep, lonStep, latCount, lonCount, values } = data;
+
+  // A grid spanning the globe wraps around, so the cell east of the last column is the first one
+  const global = Math.round(lonCount * lonStep) === 360;
+  const lat = cellIndex(latStart, latStep, latCount, latitude);
+  const lon = global
+    ? cellIndex(lonStart, lonStep, lonCount + 1, ((longitude - lonStart) % 360 + 360) % 360 + lonStart)
+    : cellIndex(lonStart, lonStep, lonCount, longitude);
+  if (!lat || !lon) return null;
+
+  const cell = (row, column) => values[row * lonCount + column % lonCount];
+  const south = [cell(lat.index, lon.index), cell(lat.index, lon.index + 1)];
+  const north = [cell(lat.index + 1, lon.index), cell(lat.index + 1, lon.index + 1)];
+  if (![...south, ...north].every(Boolean)) return null;
+
+  return MONTHS.map((month, m) => {
+    const lower = south[0][m] * (1 - lon.fraction) + south[1][m] * lon.fraction;
+    const upper = north[0][m] * (1 - lon.fraction) + north[1][m] * lon.fraction;
+    return lower * (1 - lat.fraction) + upper * lat.fraction;
+  });
+}
+
+// Solar declination in radians for a day of the year
+function declination(day) {
+  return toRadians(23.45 * Math.sin((2 * Math.PI * (284 + day)) / 365));
+}
+
+// Daily extraterrestrial radiation on a horizontal surface, kWh/m²/day
+function extraterrestrialDaily(phi, delta, day) {
+  const sunsetAngle = Math.acos(Math.min(Math.max(-Math.tan(phi) * Math.tan(delta), -1), 1));
+  const eccentricity = 1 + 0.033 * Math.cos((2 * Math.PI * day) / 365);
+  return (24 / Math.PI) * SOLAR_CONSTANT * eccentricity * (
+    Math.cos(phi) * Math.cos(delta) * Math.sin(sunsetAngle) +
+    sunsetAngle * Math.sin(phi) * Math.sin(delta)
+  );
+}
+
+// Monthly-average diffuse fraction from the clearness index (Erbs et al., 1982)
+function diffuseFraction(clearness, sunsetAngle) {
+  const k = Math.min(Math.max(clearness, 0.3), 0.8);
+  return sunsetAngle <= toRadians(81.4)
+    ? 1.391 - 3.56 * k + 4.189 * k * k - 2.137 * k * k * k
+    : 1.311 - 3.022 * k + 3.427 * k * k - 1.821 * k * k * k;
+}
+
+/**
+ * Average daily irradiation in the plane of the array (kWh/m²/day) for one month.
+ * `tilt` is degrees from horizontal, `azimuth` degrees clockwise from north (180 = south).
+ */
+function planeOfArrayDaily(ghi, latitude, tilt, azimuth, monthIndex, albedo = DEFAULT_ALBEDO) {
+  if (ghi <= 0) return 0;
+
+  const day = REPRESENTATIVE_DAYS[monthIndex];
+  const phi = toRadians(latitude);
+  const delta = declination(day);
+  const beta = toRadians(tilt);
+  // Surface azimuth measured from south, west positive, as used in the incidence-angle formula
+  const gamma = toRadians(azimuth - 180);
+
+  const sunsetAngle = Math.acos(Math.min(Math.max(-Math.tan(phi) * Math.tan(delta), -1), 1));
+  const h0 = extraterrestrialDaily(phi, delta, day);
+  if (h0 <= 0 || sunsetAngle === 0) return 0;
+
+  const diffuseDaily = ghi * diffuseFraction(ghi / h0, sunsetAngle);
+
+  // Hourly distribution coefficients for total and diffuse radiation
+  const a = 0.409 + 0.5016 * Math.sin(sunsetAngle - Math.PI / 3);
+  const b = 0.6609 - 0.4767 * Math.sin(sunsetAngle - Math.PI / 3);
+  const denominator = Math.sin(sunsetAngle) - sunsetAngle * Math.cos(sunsetAngle);
+
+  // Integrate over the day in 10-minute steps
+  const steps = 144;
+  const stepHours = 24 / steps;
+  let total = 0;
+
+  for (let i = 0; i < steps; i++) {
+    const omega = toRadians(((i + 0.5) * stepHours - 12) * 15);
+    if (Math.abs(omega) >= sunsetAngle) continue;
+
+    const cosOmegaDiff = Math.cos(omega) - Math.cos(sunsetAngle);
+    const rd = (Math.PI / 24) * cosOmegaDiff / denominator;
+    const rt = rd * (a + b * Math.cos(omega));
+
+    const global = ghi * rt;
+    const diffuse = Math.min(diffuseDaily * rd, global);
+    const beam = global - diffuse;
+
+    const cosZenith = Math.cos(phi) * Math.cos(delta) * Math.cos(omega) + Math.sin(phi) * Math.sin(delta);
+    const cosIncidence =
+      Math.sin(delta) * Math.sin(phi) * Math.cos(beta) -
+      Math.sin(delta) * Math.cos(phi) * Math.sin(beta) * Math.cos(gamma) +
+      Math.cos(delta) * Math.cos(phi) * Math.cos(beta) * Math.cos(omega) +
+      Math.cos(delta) * Math.sin(phi) * Math.sin(beta) * Math.cos(gamma) * Math.cos(omega) +
+      Math.cos(delta) * Math.sin(beta) * Math.sin(gamma) * Math.sin(omega);
+
+    // Skip the near-horizon sun where the beam ratio blows up
+    const beamRatio = cosZenith > 0.05 ? Math.max(cosIncidence, 0) / cosZenith : 0;
+
+    total += (
+      beam * beamRatio +
+      diffuse * (1 + Math.cos(beta)) / 2 +
+      global * albedo * (1 - Math.cos(beta)) / 2
+    ) * stepHours;
+  }
+
+  return total;
+}
+
+/**
+ * 12-month solar resource for a site and array geometry, or null when there is no irradiance
+ * data for the site. Omitted tilt defaults to the latitude (at least 10° so panels self-clean),
+ * omitted azimuth to facing the equator.
+ */
+function monthlyProfile(latitude, longitude, tilt, azimuth) {
+  const arrayTilt = tilt === null || tilt === undefined ? Math.max(Math.abs(latitude), 10) : tilt;
+  const arrayAzimuth = azimuth === null || azimuth === undefined ? (latitude < 0 ? 0 : 180) : azimuth;
+  const ghi = lookupMonthlyGhi(latitude, longitude);
+  if (!ghi) return null;
+
+  const months = MONTHS.map((month, m) => ({
+    month,
+    days: DAYS_IN_MONTH[m],
+    ghi: Math.round(ghi[m] * 100) / 100,
+    poa: Math.round(planeOfArrayDaily(ghi[m], latitude, arrayTilt, arrayAzimuth, m) * 100) / 100
+  }));
+
+  const annualPoa = months.reduce((sum, month) => sum + month.poa * month.days, 0);
+
+  return {
+    latitude,
+    longitude,
+    tilt: arrayTilt,
+    azimuth: arrayAzimuth,
+    source: dataSource(),
+    months,
+    // Average daily plane-of-array irradiation equals peak sun hours at 1 kW/m²
+    peakSunHours: Math.round((annualPoa / 365) * 100) / 100
+  };
+}
+
+module.exports = {
+  MONTHS,
+  REPRESENTATIVE_DAYS,
+  declination,
+  extraterrestrialDaily,
+  dataSource,
+  lookupMonthlyGhi,
+  planeOfArrayDaily,
+  monthlyProfile
+};
@@ -0,0 +1,292 @@
+/**
+ * Persistent background job queue.
+ * Jobs are stored in data/jobs.json, so nothing queued is lost on a restart. A single worker
+ * runs due jobs one at a time; failures are retried with exponential backoff and jobs that
+ * exhaust their attempts are moved to the dead-letter list ('dead') until an admin replays them.
+ * Each app's jobs are kept in its own server.dataDir and a job runs with the config of the app
+ * that queued (or replayed) it. A pass covers the queue of every app that queued jobs in this
+ * process; jobs left from before a restart run only from the worker's queue, with its config.
+ */
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+const { dataPath } = require('./paths');
+const config = require('./config');
+const logger = require('./logger');
+
+const store = new JsonStore(() => dataPath('jobs.json'));
+
+// Attempts and the first retry delay are queue.maxAttempts and queue.retryBaseMs in the config
+const RETRY_MAX_MS = 60 * 60 * 1000; // Never wait more than an hour between attempts
+const POLL_INTERVAL_MS = 5 * 1000;
+
+// Completed jobs are kept this long for inspection, then pruned
+const COMPLETED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const STATUSES = ['pending', 'running', 'done', 'dead'];
+
+const handlers = {};
+
+// The app scope (lib/config) each job was queued in, for the jobs this process queued
+const jobScopes = new Map();
+
+function rememberScope(jobId) {
+  const scope = config.currentScope();
+  if (scope) jobScopes.set(jobId, scope);
+}
+
+/**
+ * Register the function that runs jobs of `type`. It receives the job's payload and
+ * may return details to keep on the job; throwing schedules a retry.
+ * `onRetry(job)` is called after a failed attempt that will be retried and `onDead(job)`
+ * once a job of this type lands in the dead-letter list.
+ */
+function registerHandler(type, handler, { onRetry, onDead } = {}) {
+  handlers[type] = { handler, onRetry, onDead };
+}
+
+// Delay before attempt `attempts + 1`: base * 2^(attempts - 1), capped, with ±20% jitter
+function backoffDelay(attempts) {
+  const delay = Math.min(config.get().queue.retryBaseMs * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Add a job to the queue; resolves once it is written to disk. The job keeps the ID of the
+ * request that queued it, so its log lines and emails can be traced back to that request.
+ */
+async function enqueue(type, payload, { maxAttempts = config.get().queue.maxAttempts } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `job_${crypto.randomBytes(8).toString('hex')}`,
+    type,
+    payload,
+    requestId: logger.currentRequestId(),
+    status: 'pending',
+    attempts: 0,
+    maxAttempts,
+    nextRunAt: now,
+    lastError: null,
+    errors: [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await store.insert(job);
+  rememberScope(job.id);
+  kick();
+  return job;
+}
+
+function getJob(id) {
+  return store.get(id);
+}
+
+function listJobs({ status, type } = {}) {
+  return store.all()
+    .filter(job => (!status || job.status === status) && (!type || job.type === type))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Put a dead (or finished) job back in the queue with a fresh set of attempts
+ */
+async function replay(id) {
+  const job = store.get(id);
+  if (!job) return null;
+
+  if (job.status === 'pending' || job.status === 'running') {
+    const error = new Error(`Job ${id} is already ${job.status}`);
+    error.code = 'JOB_ACTIVE';
+    throw error;
+  }
+
+  await store.update(id, record => {
+    const now = new Date().toISOString();
+    record.status = 'pending';
+    record.attempts = 0;
+    record.nextRunAt = now;
+    record.replayedAt = now;
+    record.updatedAt = now;
+  });
+  rememberScope(id);
+  kick();
+  return store.get(id);
+}
+
+/**
+ * Remove the pending and dead jobs for which `match(job)` is true, e.g. a lead's deliveries once
+ * the customer's data is erased, so they neither run nor can be replayed. A job already running
+ * finishes. Resolves with the removed jobs.
+ */
+async function cancelJobs(match) {
+  const cancelled = store.all().filter(job => (job.status === 'pending' || job.status === 'dead') && match(job));
+
+  for (const job of cancelled) {
+    await store.remove(job.id);
+    jobScopes.delete(job.id);
+  }
+  return cancelled;
+}
+
+async function runJob(job) {
+  const registered = handlers[job.type];
+
+  await store.update(job.id, record => {
+    record.status = 'running';
+    record.attempts += 1;
+    record.updatedAt = new Date().toISOString();
+  });
+
+  try {
+    if (!registered) throw new Error(`No handler registered for job type '${job.type}'`);
+
+    const result = await registered.handler(job.payload, job);
+    await store.update(job.id, record => {
+      const now = new Date().toISOString();
+      record.status = 'done';
+      record.result = result || null;
+      record.completedAt = now;
+      record.updatedAt = now;
+    });
+    jobScopes.delete(job.id);
+  } catch (error) {
+    const failed = await store.update(job.id, record => {
+      const now = new Date();
+      record.lastError = error.message;
+      record.errors = [...record.errors, { at: now.toISOString(), error: error.message }].slice(-10);
+      record.updatedAt = now.toISOString();
+
+      if (record.attempts >= record.maxAttempts) {
+        record.status = 'dead';
+      } else {
+        record.status = 'pending';
+        record.nextRunAt = new Date(now.getTime() + backoffDelay(record.attempts)).toISOString();
+      }
+    });
+
+    if (failed.status === 'dead') {
+      jobScopes.delete(job.id);
+      logger.error('Job moved to dead-letter list', { jobId: job.id, type: job.type, attempts: failed.attempts, error: error.message });
+      if (registered && registered.onDead) await registered.onDead(failed);
+    } else {
+      logger.warn('Job failed, will retry', { jobId: job.id, type: job.type, nextRunAt: failed.nextRunAt, error: error.message });
+      if (registered && registered.onRetry) await registered.onRetry(failed);
+    }
+  }
+}
+
+// Drop completed jobs older than the retention period
+async function pruneCompleted() {
+  const cutoff = Date.now() - COMPLETED_RETENTION_MS;
+  const stale = store.all().filter(job => job.status === 'done' && new Date(job.completedAt).getTime() < cutoff);
+
+  for (const job of stale) {
+    await store.remove(job.id);
+  }
+}
+
+// One scope per jobs file to work through: the current one and those of the apps with jobs
+// queued in this process
+function queueScopes() {
+  const byFile = new Map();
+  [config.currentScope(), ...jobScopes.values()].forEach(scope => {
+    const file = config.runInScope(scope, () => store.filePath);
+    if (!byFile.has(file)) byFile.set(file, scope);
+  });
+  return Array.from(byFile.values());
+}
+
+// Run the due jobs of the current scope's queue and prune its completed ones
+async function runDueJobs() {
+  const pass = config.currentScope();
+  const now = new Date().toISOString();
+  const due = store.all()
+    .filter(job => job.status === 'pending' && job.nextRunAt <= now)
+    .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+
+  // Each job runs under the ID of the request that queued it, in that request's app scope
+  for (const job of due) {
+    const scope = jobScopes.get(job.id) || pass;
+    await config.runInScope(scope, () => logger.runWithRequestId(job.requestId, () => runJob(job)));
+  }
+
+  await pruneCompleted();
+}
+
+let running = false;
+let rerun = false;
+
+/**
+ * Run every job that is due, one at a time. Safe to call at any moment: a call made while a
+ * pass is in progress triggers another pass afterwards instead of running jobs concurrently.
+ */
+async function processDueJobs() {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+
+  try {
+    do {
+      rerun = false;
+      for (const scope of queueScopes()) {
+        await config.runInScope(scope, runDueJobs);
+      }
+    } while (rerun);
+  } catch (error) {
+    logger.error('Job worker error', { error });
+  } finally {
+    running = false;
+  }
+}
+
+let timer = null;
+let workerScope = null;
+
+// Run a pass in the worker's scope, whoever triggered it
+const workerPass = () => config.runInScope(workerScope, () => logger.runWithRequestId(null, processDueJobs));
+
+// Process right away rather than waiting for the next poll (no-op until the worker is started)
+function kick() {
+  if (timer) setImmediate(workerPass);
+}
+
+/**
+ * Start polling for due jobs, in the current app scope. Jobs left 'running' by a crash are put
+ * back in the queue first.
+ */
+async function startWorker({ intervalMs = POLL_INTERVAL_MS } = {}) {
+  if (timer) return;
+  workerScope = config.currentScope();
+
+  const interrupted = store.all().filter(job => job.status === 'running');
+  for (const job of interrupted) {
+    await store.update(job.id, record => {
+      record.status = 'pending';
+      record.updatedAt = new Date().toISOString();
+    });
+  }
+
+  timer = setInterval(workerPass, intervalMs);
+  timer.unref();
+  workerPass();
+}
+
+function stopWorker() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  STATUSES,
+  registerHandler,
+  enqueue,
+  getJob,
+  listJobs,
+  replay,
+  cancelJobs,
+  processDueJobs,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Small file-backed collection store.
+ * Records are kept in memory, keyed by id, and the whole collection is flushed to a single
+ * JSON file on every write. Each flush goes to a temp file that is renamed into place, so a
+ * crash mid-write never leaves a truncated file behind.
+ */
+class JsonStore {
+  // `filePath` may be a function returning the path, called on every use so the store follows
+  // the config in use (e.g. server.dataDir of each app). Each path is a collection of its own.
+  constructor(filePath) {
+    this.resolvePath = typeof filePath === 'function' ? filePath : () => filePath;
+    this.collections = new Map();
+  }
+
+  get filePath() {
+    return this.resolvePath();
+  }
+
+  // The records read from the current path and the chain of its writes, so two requests never
+  // interleave their flushes
+  collection() {
+    const filePath = this.filePath;
+    if (!this.collections.has(filePath)) {
+      this.collections.set(filePath, { filePath, records: null, pending: Promise.resolve() });
+    }
+    return this.collections.get(filePath);
+  }
+
+  load() {
+    const collection = this.collection();
+    if (collection.records) return collection.records;
+
+    collection.records = new Map();
+    if (fs.existsSync(collection.filePath)) {
+      const raw = fs.readFileSync(collection.filePath, 'utf8');
+      const items = raw.trim() ? JSON.parse(raw) : [];
+      items.forEach(item => collection.records.set(item.id, item));
+    }
+    return collection.records;
+  }
+
+  all() {
+    return Array.from(this.load().values());
+  }
+
+  get(id) {
+    return this.load().get(id) || null;
+  }
+
+  async insert(record) {
+    const records = this.load();
+    if (records.has(record.id)) {
+      throw new Error(`Record ${record.id} already exists`);
+    }
+    records.set(record.id, record);
+    await this.flush();
+    return record;
+  }
+
+  // Apply a mutation to a stored record; `mutate` receives the record and may change it in place
+  async update(id, mutate) {
+    const record = this.get(id);
+    if (!record) return null;
+
+    mutate(record);
+    await this.flush();
+    return record;
+  }
+
+  async remove(id) {
+    const existed = this.load().delete(id);
+    if (existed) await this.flush();
+    return existed;
+  }
+
+  flush() {
+    const collection = this.collection();
+    const snapshot = JSON.stringify(this.all(), null, 2);
+    const tmpPath = `${collection.filePath}.${process.pid}.tmp`;
+
+    collection.pending = collection.pending
+      .catch(() => {}) // A failed earlier flush must not block later ones
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(collection.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, snapshot);
+        await fs.promises.rename(tmpPath, collection.filePath);
+      });
+
+    return collection.pending;
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,237 @@
+/**
+ * Lead scoring and routing rules.
+ *
+ * Rules are read from the JSON or YAML file named by routing.rulesFile in the config
+ * (LEAD_RULES_FILE), or given inline as routing.rules (LEAD_RULES, as JSON); see
+ * resources/lead-rules.example.yaml. Without either, leads are neither scored nor routed and go
+ * to the notification channels' own recipients.
+ *
+ *   regions   named areas, matched from the location coordinates (bounds) or, failing that,
+ *             words in the address (addressKeywords)
+ *   scoring   rules adding `points` when a form field matches (equals, in, matches, min, max,
+ *             present), or a share of `points` for how many of the `completeness` fields are filled
+ *   routes    checked in order; the first whose `when` matches (region, systemType, calculatorMode,
+ *             minScore, maxScore) picks the team and its `to`/`cc` recipients, which replace those
+ *             of the SMTP channel named by `channel` (the first SMTP channel by default); other
+ *             channels keep their own. A route without `when` matches every lead.
+ */
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseCoordinates, parseNumber } = require('./solarCalculator');
+const config = require('./config');
+
+const FIELD_CONDITIONS = ['equals', 'in', 'matches', 'min', 'max', 'present'];
+const ROUTE_CONDITIONS = ['region', 'systemType', 'calculatorMode', 'minScore', 'maxScore'];
+
+function configError(message) {
+  const error = new Error(`Invalid lead rules: ${message}`);
+  error.code = 'INVALID_LEAD_RULES';
+  // Listed like the config's own problems when startup fails
+  error.problems = [error.message];
+  return error;
+}
+
+// "purchase-timeline" -> "purchaseTimeline", the name the field is stored under on the lead
+const storedName = field => field.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+const asList = value => (Array.isArray(value) ? value : [value]);
+
+const isEmpty = value => value === undefined || value === null || String(value).trim() === '';
+
+// Check the shape of parsed rules so mistakes show up as a clear error rather than odd routing
+function checkRules(rules) {
+  if (!rules || typeof rules !== 'object') throw configError('expected an object');
+
+  const regions = rules.regions || [];
+  const scoring = rules.scoring || [];
+  const routes = rules.routes || [];
+  if (![regions, scoring, routes].every(Array.isArray)) {
+    throw configError('regions, scoring and routes must be lists');
+  }
+
+  regions.forEach((region, index) => {
+    if (!region || !region.name) throw configError(`region ${index + 1} has no name`);
+    const { bounds } = region;
+    if (bounds && !['south', 'west', 'north', 'east'].every(side => typeof bounds[side] === 'number')) {
+      throw configError(`region '${region.name}' bounds need numeric south, west, north and east`);
+    }
+  });
+
+  scoring.forEach((rule, index) => {
+    if (!rule || typeof rule.points !== 'number') throw configError(`scoring rule ${index + 1} needs numeric points`);
+    if (rule.completeness) {
+      if (!Array.isArray(rule.completeness)) throw configError(`scoring rule ${index + 1}: completeness must be a list of fields`);
+      return;
+    }
+    if (!rule.field) throw configError(`scoring rule ${index + 1} needs a field or completeness list`);
+    if (!FIELD_CONDITIONS.some(condition => rule[condition] !== undefined)) {
+      throw configError(`scoring rule ${index + 1} needs one of: ${FIELD_CONDITIONS.join(', ')}`);
+    }
+    if (rule.matches !== undefined) {
+      try {
+        new RegExp(rule.matches, 'i');
+      } catch (error) {
+        throw configError(`scoring rule ${index + 1}: ${error.message}`);
+      }
+    }
+  });
+
+  routes.forEach((route, index) => {
+    if (!route || !route.name) throw configError(`route ${index + 1} has no name`);
+    const unknown = Object.keys(route.when || {}).filter(condition => !ROUTE_CONDITIONS.includes(condition));
+    if (unknown.length > 0) throw configError(`route '${route.name}' has unknown conditions: ${unknown.join(', ')}`);
+    if (route.channel !== undefined && (typeof route.channel !== 'string' || !route.channel)) {
+      throw configError(`route '${route.name}' channel must be the name of an SMTP channel`);
+    }
+  });
+
+  const [recipientProblem] = config.routeRecipientProblems(rules);
+  if (recipientProblem) throw configError(recipientProblem);
+
+  return { regions, scoring, routes };
+}
+
+function loadRules({ rules, rulesFile }) {
+  if (rulesFile) {
+    let parsed;
+    try {
+      const raw = fs.readFileSync(rulesFile, 'utf8');
+      parsed = /\.ya?ml$/i.test(path.extname(rulesFile)) ? YAML.parse(raw) : JSON.parse(raw);
+    } catch (error) {
+      throw configError(`${rulesFile} could not be read: ${error.message}`);
+    }
+    return checkRules(parsed);
+  }
+  return rules ? checkRules(rules) : null;
+}
+
+// Rules are read once per config, like the notification channels
+const rulesByConfig = new WeakMap();
+
+/**
+ * The checked rules of the config in use, or null when none are configured. Throws an
+ * INVALID_LEAD_RULES error when they can't be read or are malformed; app.start() calls it so
+ * that stops startup rather than the first submission.
+ */
+function getRules() {
+  const current = config.get();
+  if (!rulesByConfig.has(current)) rulesByConfig.set(current, loadRules(current.routing));
+  return rulesByConfig.get(current);
+}
+
+/**
+ * The region a lead is in: from its coordinates when they fall inside a region's bounds,
+ * otherwise from its address. Returns { name, source } or null.
+ */
+function findRegion(regions, fields) {
+  const coordinates = parseCoordinates(fields.locationCoordinates);
+  if (coordinates) {
+    const { latitude, longitude } = coordinates;
+    const match = regions.find(({ bounds }) => bounds
+      && latitude >= bounds.south && latitude <= bounds.north
+      && longitude >= bounds.west && longitude <= bounds.east);
+    if (match) return { name: match.name, source: 'coordinates' };
+  }
+
+  const address = String(fields.address || '').toLowerCase();
+  if (address) {
+    const match = regions.find(region => (region.addressKeywords || []).some(keyword => {
+      const escaped = String(keyword).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|\\W)${escaped}(\\W|$)`).test(address);
+    }));
+    if (match) return { name: match.name, source: 'address' };
+  }
+
+  return null;
+}
+
+function fieldMatches(rule, value) {
+  if (rule.present !== undefined) return rule.present === !isEmpty(value);
+  if (isEmpty(value)) return false;
+
+  const text = String(value).trim().toLowerCase();
+  if (rule.equals !== undefined && text !== String(rule.equals).toLowerCase()) return false;
+  if (rule.in !== undefined && !asList(rule.in).some(option => text === String(option).toLowerCase())) return false;
+  if (rule.matches !== undefined && !new RegExp(rule.matches, 'i').test(String(value))) return false;
+
+  if (rule.min !== undefined || rule.max !== undefined) {
+    const number = parseNumber(value);
+    if (number === null) return false;
+    if (rule.min !== undefined && number < rule.min) return false;
+    if (rule.max !== undefined && number > rule.max) return false;
+  }
+  return true;
+}
+
+// Total score and the points each matching rule contributed
+function score(scoring, fields) {
+  const details = [];
+
+  scoring.forEach(rule => {
+    let points = 0;
+    let label = rule.label;
+
+    if (rule.completeness) {
+      const filled = rule.completeness.filter(field => !isEmpty(fields[storedName(field)])).length;
+      points = Math.round((rule.points * filled) / rule.completeness.length);
+      label = label || `completeness (${filled}/${rule.completeness.length})`;
+    } else if (fieldMatches(rule, fields[storedName(rule.field)])) {
+      points = rule.points;
+      label = label || rule.field;
+    }
+
+    if (points !== 0) details.push({ rule: label, points });
+  });
+
+  return { score: details.reduce((total, detail) => total + detail.points, 0), details };
+}
+
+function routeMatches(when = {}, { region, systemType, calculatorMode, score: total }) {
+  const oneOf = (allowed, value) => allowed === undefined
+    || asList(allowed).some(option => String(option).toLowerCase() === String(value || '').toLowerCase());
+
+  return oneOf(when.region, region)
+    && oneOf(when.systemType, systemType)
+    && oneOf(when.calculatorMode, calculatorMode)
+    && (when.minScore === undefined || total >= when.minScore)
+    && (when.maxScore === undefined || total <= when.maxScore);
+}
+
+/**
+ * Score a new lead and pick its route. Returns the routing record kept on the lead
+ * ({ route, team, score, scoreDetails, region, regionSource, channel, to, cc }), or null when no
+ * rules are configured.
+ */
+function routeLead({ calculatorMode, fields }) {
+  const rules = getRules();
+  if (!rules) return null;
+
+  const region = findRegion(rules.regions, fields);
+  const { score: total, details } = score(rules.scoring, fields);
+  const route = rules.routes.find(candidate => routeMatches(candidate.when, {
+    region: region && region.name,
+    systemType: fields.systemType,
+    calculatorMode,
+    score: total
+  }));
+
+  return {
+    route: route ? route.name : null,
+    team: (route && route.team) || null,
+    score: total,
+    scoreDetails: details,
+    region: region ? region.name : null,
+    regionSource: region ? region.source : null,
+    // Recipients for the team email on `channel` (null: the first SMTP channel); none means the
+    // channel's own recipients
+    channel: (route && route.channel) || null,
+    to: route && route.to ? asList(route.to) : null,
+    cc: route && route.cc ? asList(route.cc) : null
+  };
+}
+
+module.exports = {
+  getRules,
+  routeLead
+};
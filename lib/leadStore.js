@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+const { dataPath } = require('./paths');
+
+const store = new JsonStore(() => dataPath('leads.json'));
+
+// Lead lifecycle: new -> contacted -> quoted -> won/lost (a lead can be lost at any open stage)
+const STATUSES = ['new', 'contacted', 'quoted', 'won', 'lost'];
+const STATUS_TRANSITIONS = {
+  new: ['contacted', 'lost'],
+  contacted: ['quoted', 'lost'],
+  quoted: ['won', 'lost'],
+  won: [],
+  lost: []
+};
+
+// Crockford-style alphabet without easily confused characters (0/O, 1/I/L)
+const ID_ALPHABET = '23456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * Generate a human-friendly lead reference such as SQ-20240315-7KX4QD
+ */
+function generateLeadId(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = Array.from(crypto.randomBytes(6))
+    .map(byte => ID_ALPHABET[byte % ID_ALPHABET.length])
+    .join('');
+  return `SQ-${day}-${suffix}`;
+}
+
+function canTransition(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Pick an unused lead ID, e.g. to store a submission's files under it before the lead is created
+ */
+function reserveLeadId() {
+  let id = generateLeadId();
+  while (store.get(id)) {
+    id = generateLeadId();
+  }
+  return id;
+}
+
+// The stored description of an uploaded file
+function attachmentMetadata(file) {
+  return {
+    fieldname: file.fieldname,
+    originalname: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+    width: file.width,
+    height: file.height,
+    storedAs: file.storedAs,
+    variants: file.variants
+  };
+}
+
+/**
+ * Persist a new quote request.
+ * `fields` holds the submitted form values, `attachments` only the file metadata (never the buffers)
+ * `calculation` the server-side sizing with its comparison against the client's figures and
+ * `routing` the score and team chosen by the lead routing rules.
+ */
+async function createLead({ id = reserveLeadId(), calculatorMode, brand = null, fields, attachments = [], calculation = null, routing = null }) {
+  const now = new Date();
+
+  const lead = {
+    id,
+    status: 'new',
+    statusHistory: [{ status: 'new', at: now.toISOString() }],
+    calculatorMode,
+    // Email template brand, chosen from the site the request came from
+    brand,
+    fields,
+    attachments: attachments.map(attachmentMetadata),
+    calculation,
+    routing,
+    owner: null,
+    notes: [],
+    // Secret that lets the customer act on their own lead (unsubscribe, data requests) via emailed links
+    customerToken: crypto.randomBytes(24).toString('hex'),
+    unsubscribed: false,
+    notification: { status: 'pending' },
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+
+  return store.insert(lead);
+}
+
+function getLead(id) {
+  return store.get(id);
+}
+
+function listLeads() {
+  return store.all();
+}
+
+function findByCustomerToken(token) {
+  if (!token) return null;
+  return store.all().find(lead => lead.customerToken === token) || null;
+}
+
+/**
+ * Every lead submitted with this email address (stored lower-cased), oldest first
+ */
+function findByEmail(email) {
+  if (!email) return [];
+  const normalised = String(email).trim().toLowerCase();
+
+  return store.all()
+    .filter(lead => lead.fields.email === normalised)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Leads created since `since` from the same email address or phone number, newest first
+ */
+function findRecentByContact({ email, phone, since }) {
+  if (!email && !phone) return [];
+
+  return store.all()
+    .filter(lead => new Date(lead.createdAt) >= since)
+    .filter(lead => (email && lead.fields.email === email) || (phone && lead.fields.phone === phone))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Fold a repeat submission into an existing lead: fields the lead is missing are filled in,
+ * new files are added, and the submission is kept in `duplicates` for reference.
+ */
+async function mergeSubmission(id, { fields, attachments = [] }) {
+  const isEmpty = value => value === undefined || value === null || value === '';
+
+  return store.update(id, record => {
+    const now = new Date().toISOString();
+
+    Object.keys(fields).forEach(key => {
+      if (isEmpty(record.fields[key]) && !isEmpty(fields[key])) {
+        record.fields[key] = fields[key];
+      }
+    });
+
+    record.attachments = (record.attachments || []).concat(attachments.map(attachmentMetadata));
+    record.duplicates = (record.duplicates || []).concat({ at: now, fields, attachments: attachments.length });
+    record.updatedAt = now;
+  });
+}
+
+/**
+ * Merge system-maintained properties (confirmation state, unsubscribe flags, ...) into a lead.
+ * Not for status, owner or notes, which go through updateLead.
+ */
+async function patchLead(id, changes) {
+  return store.update(id, record => {
+    Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+  });
+}
+
+// Fields that identify the customer, removed when a lead is anonymised
+const PERSONAL_FIELDS = ['name', 'email', 'phone', 'address', 'comments', 'locationCoordinates'];
+
+/**
+ * Strip everything that identifies the customer from a lead (contact details, location, photos,
+ * notes, merged submissions and their customer token) while keeping the system details, status
+ * history and routing for reporting. The caller removes the photo files.
+ */
+async function anonymiseLead(id) {
+  return store.update(id, record => {
+    const now = new Date().toISOString();
+
+    PERSONAL_FIELDS.forEach(field => { delete record.fields[field]; });
+    if (record.calculation && record.calculation.result && record.calculation.result.inputs) {
+      record.calculation.result.inputs.latitude = null;
+      record.calculation.result.inputs.longitude = null;
+    }
+    record.attachments = [];
+    record.notes = [];
+    record.duplicates = (record.duplicates || []).map(duplicate => ({ at: duplicate.at, attachments: duplicate.attachments }));
+    record.customerToken = null;
+    record.anonymisedAt = now;
+    record.updatedAt = now;
+  });
+}
+
+async function deleteLead(id) {
+  return store.remove(id);
+}
+
+function invalidTransition(from, to) {
+  const error = new Error(`Cannot change status from '${from}' to '${to}'`);
+  error.code = 'INVALID_STATUS_TRANSITION';
+  return error;
+}
+
+/**
+ * Apply admin changes to a lead in one write: a status change (enforcing the lifecycle order),
+ * a new owner and/or an internal note. `author` is recorded against status changes and notes.
+ */
+async function updateLead(id, { status, owner, note } = {}, author = null) {
+  const lead = store.get(id);
+  if (!lead) return null;
+
+  if (status !== undefined && status !== lead.status && !canTransition(lead.status, status)) {
+    throw invalidTransition(lead.status, status);
+  }
+
+  return store.update(id, record => {
+    const now = new Date().toISOString();
+
+    if (status !== undefined && status !== record.status) {
+      record.status = status;
+      record.statusHistory.push({ status, at: now, by: author });
+    }
+    if (owner !== undefined) {
+      record.owner = owner || null;
+    }
+    if (note) {
+      record.notes = record.notes || [];
+      record.notes.push({ text: note, author, at: now });
+    }
+    record.updatedAt = now;
+  });
+}
+
+/**
+ * Move a lead to a new status, enforcing the lifecycle order
+ */
+async function updateStatus(id, status, author = null) {
+  return updateLead(id, { status }, author);
+}
+
+// Fields covered by the free-text search
+const SEARCHABLE_FIELDS = ['name', 'email', 'address', 'comments'];
+
+/**
+ * Filter, search and page through stored leads, newest first.
+ * Every whitespace-separated term in `q` must appear in one of the searchable fields.
+ */
+function queryLeads({ q, calculatorMode, purchaseTimeline, contactMethod, status, from, to, page = 1, limit = 20 } = {}) {
+  const terms = q ? q.toLowerCase().split(/\s+/).filter(Boolean) : [];
+
+  const matches = store.all().filter(lead => {
+    const fields = lead.fields || {};
+    const created = new Date(lead.createdAt);
+
+    if (calculatorMode && lead.calculatorMode !== calculatorMode) return false;
+    if (purchaseTimeline && fields.purchaseTimeline !== purchaseTimeline) return false;
+    if (contactMethod && fields.contactMethod !== contactMethod) return false;
+    if (status && lead.status !== status) return false;
+    if (from && created < from) return false;
+    if (to && created > to) return false;
+
+    if (terms.length > 0) {
+      const haystack = SEARCHABLE_FIELDS
+        .map(field => fields[field] || '')
+        .join(' ')
+        .toLowerCase();
+      if (!terms.every(term => haystack.includes(term))) return false;
+    }
+
+    return true;
+  });
+
+  matches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  const start = (page - 1) * limit;
+  return {
+    items: matches.slice(start, start + limit),
+    total: matches.length
+  };
+}
+
+/**
+ * Record the outcome of the new-lead notifications for a lead
+ */
+async function recordNotification(id, notification) {
+  return store.update(id, record => {
+    const now = new Date().toISOString();
+    record.notification = { ...notification, at: now };
+    record.updatedAt = now;
+  });
+}
+
+/**
+ * Update the delivery state of one notification channel for a lead.
+ * `summarise` turns the list of channel states into the overall notification status.
+ */
+async function recordChannelNotification(id, channel, state, summarise) {
+  return store.update(id, record => {
+    const now = new Date().toISOString();
+    const channels = (record.notification && record.notification.channels) || [];
+    const index = channels.findIndex(entry => entry.channel === channel);
+    const entry = { ...(index >= 0 ? channels[index] : { channel }), ...state, at: now };
+
+    if (index >= 0) channels[index] = entry;
+    else channels.push(entry);
+
+    record.notification = { status: summarise(channels), channels, at: now };
+    record.updatedAt = now;
+  });
+}
+
+module.exports = {
+  STATUSES,
+  STATUS_TRANSITIONS,
+  canTransition,
+  reserveLeadId,
+  createLead,
+  getLead,
+  listLeads,
+  findByCustomerToken,
+  findByEmail,
+  findRecentByContact,
+  mergeSubmission,
+  patchLead,
+  queryLeads,
+  updateLead,
+  updateStatus,
+  recordNotification,
+  recordChannelNotification,
+  anonymiseLead,
+  deleteLead
+};
@@ -0,0 +1,170 @@
+/**
+ * Structured logging: one JSON object per line with a timestamp, level, message and context.
+ *
+ *   logger.info('Stored quote request', { leadId });
+ *   logger.error('Job failed', { jobId, error });
+ *
+ * Every line logged while handling a request (or running a job queued by it) carries that
+ * request's ID, which is also returned in the X-Request-Id response header and set on the
+ * emails it leads to. Customer details in the context (names, emails, phones, addresses,
+ * comments, coordinates) and credentials are masked before anything is written.
+ *
+ * LOG_LEVEL sets the lowest level written: debug, info (default), warn or error.
+ */
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+// Context keys holding customer details or secrets, compared lower-case without - and _
+const REDACTED_KEYS = new Set([
+  'name',
+  'email',
+  'customeremail',
+  'phone',
+  'address',
+  'comments',
+  'locationcoordinates',
+  'latitude',
+  'longitude',
+  'to',
+  'cc',
+  'authorization',
+  'cookie',
+  'password',
+  'secret',
+  'token',
+  'customertoken',
+  'formtoken',
+  'signature'
+]);
+
+// Incoming request IDs are only reused when they look like one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+const minLevel = () => LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+
+// "jane.doe@example.com" -> "j***@example.com"
+function maskEmail(value) {
+  const [local, domain] = String(value).split('@');
+  return domain ? `${local.slice(0, 1)}***@${domain}` : '[REDACTED]';
+}
+
+// "+2348012345678" -> "***5678"
+function maskPhone(value) {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length > 4 ? `***${digits.slice(-4)}` : '[REDACTED]';
+}
+
+function maskValue(key, value) {
+  if (value === undefined || value === null || value === '') return value;
+  if (Array.isArray(value)) return value.map(item => maskValue(key, item));
+  if (key.includes('email') || key === 'to' || key === 'cc') return maskEmail(value);
+  if (key === 'phone') return maskPhone(value);
+  return '[REDACTED]';
+}
+
+/**
+ * Copy of `value` with customer details and secrets masked and errors turned into plain objects
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, stack: value.stack };
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (Buffer.isBuffer(value)) return `<${value.length} bytes>`;
+  if (depth > 5) return '[Truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  return Object.keys(value).reduce((result, key) => {
+    const normalised = key.toLowerCase().replace(/[-_]/g, '');
+    result[key] = REDACTED_KEYS.has(normalised)
+      ? maskValue(normalised, value[key])
+      : redact(value[key], depth + 1);
+    return result;
+  }, {});
+}
+
+function write(level, message, context = {}) {
+  if (LEVELS[level] < minLevel()) return;
+
+  const store = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...(store && store.requestId ? { requestId: store.requestId } : {}),
+    ...redact(context)
+  };
+
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+/**
+ * The ID of the request (or queued job) being handled, or null outside one
+ */
+function currentRequestId() {
+  const store = requestContext.getStore();
+  return (store && store.requestId) || null;
+}
+
+/**
+ * Run `fn` with `requestId` as the current request ID (null runs it outside any request)
+ */
+function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId: requestId || null }, fn);
+}
+
+/**
+ * Middleware: give the request an ID (the caller's X-Request-Id when valid), return it in the
+ * X-Request-Id header and log each finished request without its query string
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  // Read now: routers mounted on a prefix have shortened req.path by the time the response is sent
+  const { path } = req;
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithRequestId(requestId, () => {
+    res.on('finish', () => runWithRequestId(requestId, () => {
+      write(res.statusCode >= 500 ? 'error' : 'info', 'Request completed', {
+        method: req.method,
+        path,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+        ip: req.ip
+      });
+    }));
+    next();
+  });
+}
+
+/**
+ * Middleware: re-enter the request's context after a body parser, whose stream callbacks lose it
+ */
+function restoreRequestContext(req, res, next) {
+  runWithRequestId(req.id, next);
+}
+
+module.exports = {
+  debug: (message, context) => write('debug', message, context),
+  info: (message, context) => write('info', message, context),
+  warn: (message, context) => write('warn', message, context),
+  error: (message, context) => write('error', message, context),
+  redact,
+  currentRequestId,
+  runWithRequestId,
+  requestLogger,
+  restoreRequestContext
+};
@@ -0,0 +1,81 @@
+/**
+ * Prometheus metrics, served in the text exposition format at GET /metrics.
+ * Besides the default Node.js process metrics:
+ *
+ *   solar_quote_submissions_total{calculator_mode,result}   accepted quote requests (created or merged)
+ *   solar_quote_validation_failures_total{calculator_mode}  quote requests rejected by validation
+ *   solar_email_send_duration_seconds{channel}              time taken by each email send
+ *   solar_email_send_failures_total{channel}                emails the mail server refused or that errored
+ *   solar_upload_file_size_bytes                            size of each uploaded file
+ *   solar_cors_rejections_total                             requests refused by the CORS policy
+ */
+const client = require('prom-client');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const submissions = new client.Counter({
+  name: 'solar_quote_submissions_total',
+  help: 'Quote requests accepted, by calculator mode and whether they created a lead or were merged into one',
+  labelNames: ['calculator_mode', 'result'],
+  registers: [registry]
+});
+
+const validationFailures = new client.Counter({
+  name: 'solar_quote_validation_failures_total',
+  help: 'Quote requests rejected because they failed validation',
+  labelNames: ['calculator_mode'],
+  registers: [registry]
+});
+
+const emailSendDuration = new client.Histogram({
+  name: 'solar_email_send_duration_seconds',
+  help: 'Time taken to hand an email to the mail server',
+  labelNames: ['channel'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
+
+const emailSendFailures = new client.Counter({
+  name: 'solar_email_send_failures_total',
+  help: 'Emails that could not be sent',
+  labelNames: ['channel'],
+  registers: [registry]
+});
+
+const uploadFileSize = new client.Histogram({
+  name: 'solar_upload_file_size_bytes',
+  help: 'Size of each file uploaded with a quote request',
+  buckets: client.exponentialBuckets(64 * 1024, 2, 8), // 64KB to 8MB
+  registers: [registry]
+});
+
+const corsRejections = new client.Counter({
+  name: 'solar_cors_rejections_total',
+  help: 'Requests refused because their origin is not allowed',
+  registers: [registry]
+});
+
+/**
+ * Time an email send: resolves or rejects like `send()` and records its duration and failures
+ */
+async function timeEmailSend(channel, send) {
+  const stopTimer = emailSendDuration.startTimer({ channel });
+  try {
+    return await send();
+  } catch (error) {
+    emailSendFailures.inc({ channel });
+    throw error;
+  } finally {
+    stopTimer();
+  }
+}
+
+module.exports = {
+  registry,
+  recordSubmission: (calculatorMode, result) => submissions.inc({ calculator_mode: calculatorMode, result }),
+  recordValidationFailure: calculatorMode => validationFailures.inc({ calculator_mode: calculatorMode }),
+  recordUpload: size => uploadFileSize.observe(size),
+  recordCorsRejection: () => corsRejections.inc(),
+  timeEmailSend
+};
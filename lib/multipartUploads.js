@@ -0,0 +1,126 @@
+/**
+ * Multipart photo uploads, shared by the form submission route and POST /api/v1/uploads.
+ * Files are kept in memory until the image pipeline has checked and re-encoded them.
+ * Limits and accepted types are the config's uploads section, read for every request.
+ */
+const express = require('express');
+const multer = require('multer');
+const imagePipeline = require('./imagePipeline');
+const config = require('./config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const { sendError } = require('./apiResponses');
+
+// Use memory storage for file uploads
+const storage = multer.memoryStorage();
+
+// Create multer instance without field filtering. The declared mimetype is only a first check:
+// the image pipeline verifies each file's actual content before anything is stored
+function createUpload(uploads) {
+  return multer({
+    storage: storage,
+    limits: {
+      // Whole bytes: with a fractional limit oversized files are cut short instead of refused
+      fileSize: Math.floor(uploads.maxFileMb * 1024 * 1024),
+      files: uploads.maxFiles
+    },
+    fileFilter: function (req, file, cb) {
+      if (uploads.mimetypes.includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        const error = new Error(`Only ${imagePipeline.describeTypes(uploads.mimetypes)} images are allowed`);
+        error.code = 'INVALID_UPLOAD';
+        error.field = file.fieldname;
+        cb(error);
+      }
+    }
+  });
+}
+
+// One multer instance per config, so each app built by createApp() uses its own limits
+const uploaders = new WeakMap();
+
+function getUpload() {
+  const { uploads } = config.get();
+  if (!uploaders.has(uploads)) uploaders.set(uploads, createUpload(uploads));
+  return uploaders.get(uploads);
+}
+
+// Turn upload problems into 413 (too many / too large) or 422 (not an accepted image) responses
+function sendUploadError(res, error) {
+  const { uploads } = config.get();
+
+  if (error.code === 'INVALID_UPLOAD') {
+    return sendError(res, 422, {
+      code: 'validation_failed',
+      message: 'Validation failed',
+      errors: [{ field: error.field, code: 'invalid_file', message: error.message }]
+    });
+  }
+
+  const messages = {
+    LIMIT_FILE_SIZE: `Each file must be at most ${uploads.maxFileMb}MB`,
+    LIMIT_FILE_COUNT: `At most ${uploads.maxFiles} files can be uploaded`
+  };
+  return sendError(res, 413, {
+    code: 'upload_too_large',
+    message: messages[error.code] || error.message
+  });
+}
+
+// Re-enter the request's app scope and log context, which multer's stream callbacks lose
+function restoreContext(req, res, next) {
+  config.restoreScope(req, res, () => logger.restoreRequestContext(req, res, next));
+}
+
+// upload.any() with its errors answered by sendUploadError instead of the global error handler
+function parseUploads(req, res, next) {
+  getUpload().any()(req, res, error => restoreContext(req, res, () => {
+    if (error instanceof multer.MulterError || (error && error.code === 'INVALID_UPLOAD')) {
+      return sendUploadError(res, error);
+    }
+    if (error) return next(error);
+
+    const files = req.files || [];
+    files.forEach(file => metrics.recordUpload(file.size));
+    if (files.length > 0) {
+      logger.info('Received uploads', {
+        files: files.map(file => ({ fileName: file.originalname, size: file.size, mimetype: file.mimetype }))
+      });
+    }
+    next();
+  }));
+}
+
+const parseUrlencoded = express.urlencoded({ extended: false });
+
+// Form fields without files (multipart or urlencoded), for the routes that take no uploads.
+// Each parser leaves a body of the other type alone.
+function parseFields(req, res, next) {
+  parseUrlencoded(req, res, error => {
+    if (error) return next(error);
+    getUpload().none()(req, res, uploadError => restoreContext(req, res, () => next(uploadError)));
+  });
+}
+
+/**
+ * Check and re-encode the request's files (imagePipeline.processUploads). Resolves with the
+ * processed images, or with null after sending the error response for a bad upload.
+ */
+async function processRequestUploads(req, res) {
+  try {
+    return await imagePipeline.processUploads(req.files || [], config.get().uploads);
+  } catch (error) {
+    if (error.code === 'INVALID_UPLOAD' || error.code === 'UPLOAD_LIMIT') {
+      sendUploadError(res, error);
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  parseFields,
+  parseUploads,
+  processRequestUploads
+};
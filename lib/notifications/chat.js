@@ -0,0 +1,79 @@
+const { postJson } = require('./http');
+
+// Slack mrkdwn treats &, < and > as control characters
+function escapeMrkdwn(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const modeLabel = mode => mode.charAt(0).toUpperCase() + mode.slice(1);
+
+/**
+ * Build a Slack-style incoming-webhook message for a lead.
+ * `text` is the notification fallback; `blocks` is the rich layout Slack-compatible tools render.
+ */
+function formatLeadMessage(lead, options = {}) {
+  const fields = lead.fields;
+  const summary = `New solar quote request from ${fields.name} (${modeLabel(lead.calculatorMode)} mode)`;
+
+  const details = [
+    ['Lead', lead.id],
+    ['Email', fields.email],
+    ['Phone', fields.phone],
+    ['Contact', fields.contactMethod],
+    ['System size', fields.systemSize],
+    ['Timeline', fields.purchaseTimeline]
+  ].filter(([, value]) => value);
+
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: summary.slice(0, 150) }
+    },
+    {
+      type: 'section',
+      fields: details.map(([label, value]) => ({
+        type: 'mrkdwn',
+        text: `*${label}:*\n${escapeMrkdwn(value)}`
+      }))
+    }
+  ];
+
+  const flagged = lead.calculation && lead.calculation.check ? lead.calculation.check.flagged : [];
+  if (flagged.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `:warning: Client figures differ from the server calculation: ${flagged.map(check => check.field).join(', ')}`
+      }]
+    });
+  }
+
+  if (options.leadUrl) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `<${options.leadUrl.replace('{id}', encodeURIComponent(lead.id))}|Open lead>` }
+    });
+  }
+
+  return { text: `${summary} — ${lead.id}`, blocks };
+}
+
+/**
+ * Chat incoming-webhook channel (Slack and Slack-compatible tools such as Mattermost or Rocket.Chat).
+ *
+ * Options: url, leadUrl (with an {id} placeholder), timeoutMs
+ */
+function createChatChannel(options) {
+  return {
+    name: options.name,
+    type: 'chat',
+
+    send(lead) {
+      return postJson(options.url, formatLeadMessage(lead, options), { timeoutMs: options.timeoutMs });
+    }
+  };
+}
+
+module.exports = createChatChannel;
+module.exports.formatLeadMessage = formatLeadMessage;
@@ -0,0 +1,38 @@
+// Import node-fetch for making HTTP requests
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * POST a JSON body and resolve with { httpStatus }; non-2xx responses and timeouts reject
+ */
+async function postJson(url, body, { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const payload = typeof body === 'string' ? body : JSON.stringify(body);
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Request to ${new URL(url).host} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  try {
+    const response = await Promise.race([
+      fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: payload
+      }),
+      timeout
+    ]);
+
+    if (!response.ok) {
+      throw new Error(`${new URL(url).host} responded with HTTP ${response.status}`);
+    }
+    return { httpStatus: response.status };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  postJson
+};
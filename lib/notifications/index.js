@@ -0,0 +1,265 @@
+/**
+ * Notification subsystem: tells the team about new leads over every configured channel.
+ *
+ * Channels are the config's notifications.channels: set in a config file, the JSON file named by
+ * NOTIFICATION_CHANNELS_FILE, or the NOTIFICATION_CHANNELS env var holding the same JSON. String
+ * values may reference env vars as "${NAME}" so secrets stay out of the file. Example:
+ *
+ *   [
+ *     { "name": "sales-email", "type": "smtp", "host": "smtp.example.com", "port": 587,
+ *       "auth": { "user": "${SMTP_USER}", "pass": "${SMTP_PASSWORD}" }, "to": "sales@example.com" },
+ *     { "name": "crm", "type": "webhook", "url": "https://crm.example.com/hooks/leads", "secret": "${CRM_WEBHOOK_SECRET}" },
+ *     { "name": "sales-chat", "type": "chat", "url": "${CHAT_WEBHOOK_URL}" }
+ *   ]
+ *
+ * Without them, the channels are derived from the email section (the Gmail account in EMAIL_USER,
+ * or any SMTP server via SMTP_HOST), plus NOTIFY_WEBHOOK_URL and NOTIFY_CHAT_WEBHOOK_URL.
+ *
+ * Deliveries go through the job queue, one job per channel, so a channel that is down is
+ * retried later without holding up the customer's submission or the other channels. When a
+ * customer's data is erased, the webhook channels that were sent the lead are told the same way.
+ */
+const createSmtpChannel = require('./smtp');
+const createWebhookChannel = require('./webhook');
+const createChatChannel = require('./chat');
+const { buildQuoteEmail } = require('../quoteEmail');
+const { proposalAttachment } = require('../proposalPdf');
+const jobQueue = require('../jobQueue');
+const leadStore = require('../leadStore');
+const attachmentStore = require('../attachmentStore');
+const logger = require('../logger');
+const config = require('../config');
+
+const CHANNEL_FACTORIES = {
+  smtp: createSmtpChannel,
+  webhook: createWebhookChannel,
+  chat: createChatChannel
+};
+
+// Channel definitions from the email and webhook settings
+function channelsFromSettings({ email, notifications }) {
+  const channels = [];
+
+  if (email.host) {
+    channels.push({
+      name: 'email',
+      type: 'smtp',
+      host: email.host,
+      port: email.port,
+      secure: email.secure,
+      auth: { user: email.user, pass: email.password },
+      from: email.from || email.user,
+      to: email.recipient,
+      cc: email.cc,
+      messageDomain: email.messageDomain
+    });
+  } else if (email.user) {
+    channels.push({
+      name: 'email',
+      type: 'smtp',
+      service: 'gmail',
+      secure: true, // Use TLS
+      auth: { user: email.user, pass: email.password },
+      from: email.from || email.user,
+      to: email.recipient,
+      cc: email.cc,
+      messageDomain: email.messageDomain
+    });
+  }
+
+  if (notifications.webhookUrl) {
+    channels.push({
+      name: 'webhook',
+      type: 'webhook',
+      url: notifications.webhookUrl,
+      secret: notifications.webhookSecret
+    });
+  }
+
+  if (notifications.chatWebhookUrl) {
+    channels.push({
+      name: 'chat',
+      type: 'chat',
+      url: notifications.chatWebhookUrl,
+      leadUrl: notifications.chatLeadUrl
+    });
+  }
+
+  return channels;
+}
+
+// `mailTransport` is the app's nodemailer transport SMTP channels send through instead of their
+// server (createApp's options.mailTransport), or null
+function createChannel(options, index, mailTransport) {
+  const factory = CHANNEL_FACTORIES[options.type];
+  if (!factory) {
+    throw new Error(`Unknown notification channel type '${options.type}'`);
+  }
+  return factory({
+    ...options,
+    name: options.name || `${options.type}-${index + 1}`,
+    ...(options.type === 'smtp' && mailTransport ? { transport: mailTransport } : {})
+  });
+}
+
+// Channels are built once per app (per config outside one) and reused, so SMTP connections are
+// pooled across submissions
+const channelSets = new WeakMap();
+
+const channelsKey = () => config.currentScope() || config.get();
+
+/**
+ * The notification channels of the app (or config) in use
+ */
+function getChannels() {
+  const key = channelsKey();
+  if (!channelSets.has(key)) {
+    const current = config.get();
+    const scope = config.currentScope();
+    const definitions = current.notifications.channels || channelsFromSettings(current);
+    channelSets.set(key, definitions
+      .filter(options => options.enabled !== false)
+      .map((options, index) => createChannel(options, index, scope && scope.mailTransport)));
+  }
+  return channelSets.get(key);
+}
+
+/**
+ * Close the pooled SMTP connections of the app (or config) in use; its channels are built
+ * again when next needed
+ */
+function closeChannels() {
+  const key = channelsKey();
+  (channelSets.get(key) || []).filter(channel => channel.transporter).forEach(channel => channel.transporter.close());
+  channelSets.delete(key);
+}
+
+/**
+ * The SMTP channel used for emails to customers: the one named by notifications.customerChannel
+ * (CUSTOMER_EMAIL_CHANNEL), otherwise the first SMTP channel. Null when no SMTP channel is configured.
+ */
+function getCustomerMailer() {
+  const smtpChannels = getChannels().filter(channel => channel.type === 'smtp');
+  const preferred = config.get().notifications.customerChannel;
+  return (preferred && smtpChannels.find(channel => channel.name === preferred)) || smtpChannels[0] || null;
+}
+
+const NOTIFY_JOB = 'notify-lead';
+
+/**
+ * Queue a new-lead notification for every channel and mark them queued on the lead.
+ * Resolves once the jobs are persisted; the worker delivers them in the background.
+ */
+async function queueNewLead(lead) {
+  const active = getChannels();
+
+  if (active.length === 0) {
+    logger.warn('No notification channels configured; lead was stored without notifying anyone', { leadId: lead.id });
+  }
+
+  // Mark every channel queued before any job exists, so a fast delivery is never overwritten
+  const channels = active.map(channel => ({ channel: channel.name, type: channel.type, status: 'queued' }));
+  await leadStore.recordNotification(lead.id, { status: summarise(channels), channels });
+
+  for (const channel of active) {
+    const job = await jobQueue.enqueue(NOTIFY_JOB, { leadId: lead.id, channel: channel.name });
+    await leadStore.recordChannelNotification(lead.id, channel.name, { jobId: job.id }, summarise);
+  }
+
+  return channels;
+}
+
+// The team recipients ({ to, cc }) the lead's route gives `channel`: only the SMTP channel the
+// route names, by default the first one, has its recipients replaced. Null for every other channel.
+function routedRecipients(lead, channel) {
+  const routing = lead.routing;
+  if (!routing || !routing.to || channel.type !== 'smtp') return null;
+
+  const firstSmtp = getChannels().find(candidate => candidate.type === 'smtp');
+  const routedChannel = routing.channel || (firstSmtp && firstSmtp.name);
+  return channel.name === routedChannel ? { to: routing.to, cc: routing.cc || [] } : null;
+}
+
+// Deliver one lead to one channel; throwing makes the queue retry
+async function deliver({ leadId, channel: channelName }) {
+  const lead = leadStore.getLead(leadId);
+  if (!lead) throw new Error(`Lead ${leadId} no longer exists`);
+
+  const channel = getChannels().find(candidate => candidate.name === channelName);
+  if (!channel) throw new Error(`Notification channel '${channelName}' is not configured`);
+
+  // Emails carry photo thumbnails with links to the full-size files, and the PDF proposal
+  // unless notifications.proposalPdf is off; webhooks and chat have no attachments. The
+  // proposal is in the team's locale when one is set, otherwise the customer's
+  const { attachments, photos } = await attachmentStore.emailPhotos(lead);
+  const { email, notifications } = config.get();
+  if (channel.type === 'smtp' && notifications.proposalPdf) {
+    attachments.push(await proposalAttachment(lead, email.locale ? { locale: email.locale } : {}));
+  }
+
+  const detail = await channel.send(lead, {
+    email: buildQuoteEmail(lead, { photos }),
+    attachments,
+    recipients: routedRecipients(lead, channel)
+  });
+
+  await leadStore.recordChannelNotification(leadId, channelName, { status: 'sent', error: undefined, nextAttemptAt: undefined, ...detail }, summarise);
+  return detail;
+}
+
+jobQueue.registerHandler(NOTIFY_JOB, deliver, {
+  onRetry: job => leadStore.recordChannelNotification(job.payload.leadId, job.payload.channel, {
+    status: 'retrying',
+    error: job.lastError,
+    nextAttemptAt: job.nextRunAt
+  }, summarise),
+  onDead: job => leadStore.recordChannelNotification(job.payload.leadId, job.payload.channel, {
+    status: 'failed',
+    error: job.lastError,
+    nextAttemptAt: undefined
+  }, summarise)
+});
+
+const ERASURE_JOB = 'notify-erasure';
+
+/**
+ * Queue a quote_request.erased event for every webhook channel the lead was queued for, so
+ * receivers can erase their copies. Call before the lead is erased; resolves once the jobs are
+ * persisted. Chat messages can't be taken back and emails are out of our hands.
+ */
+async function queueErasure(lead) {
+  const sentTo = ((lead.notification && lead.notification.channels) || []).filter(entry => entry.type === 'webhook');
+  for (const entry of sentTo) {
+    await jobQueue.enqueue(ERASURE_JOB, { leadId: lead.id, channel: entry.channel });
+  }
+  return sentTo.map(entry => entry.channel);
+}
+
+// Tell one webhook channel a lead was erased; throwing makes the queue retry
+async function deliverErasure({ leadId, channel: channelName }) {
+  const channel = getChannels().find(candidate => candidate.name === channelName);
+  if (!channel) throw new Error(`Notification channel '${channelName}' is not configured`);
+
+  return channel.sendErasure(leadId);
+}
+
+jobQueue.registerHandler(ERASURE_JOB, deliverErasure);
+
+// Overall status for a set of channel states: skipped, queued (still in progress), sent, partial or failed
+function summarise(channels) {
+  if (channels.length === 0) return 'skipped';
+  if (channels.some(entry => entry.status === 'queued' || entry.status === 'retrying')) return 'queued';
+
+  const sent = channels.filter(entry => entry.status === 'sent').length;
+  if (sent === channels.length) return 'sent';
+  return sent === 0 ? 'failed' : 'partial';
+}
+
+module.exports = {
+  getChannels,
+  closeChannels,
+  getCustomerMailer,
+  queueNewLead,
+  queueErasure,
+  summarise
+};
@@ -0,0 +1,97 @@
+const nodemailer = require('nodemailer');
+const logger = require('../logger');
+const metrics = require('../metrics');
+const config = require('../config');
+
+let nextSendAt = 0;
+
+// Resolve once the process-wide email rate limit allows another send: email.rateLimit emails per
+// second across every SMTP channel (Gmail allows about 5)
+function waitForSendSlot() {
+  const now = Date.now();
+  const wait = Math.max(0, nextSendAt - now);
+  nextSendAt = Math.max(now, nextSendAt) + 1000 / config.get().email.rateLimit;
+  return new Promise(resolve => setTimeout(resolve, wait));
+}
+
+/**
+ * Email channel for any SMTP server (or a nodemailer well-known service such as Gmail).
+ * The transporter is created once per channel and pooled across submissions; sends from all
+ * SMTP channels share one rate limit (email.rateLimit per second).
+ *
+ * Options: service | host/port/secure, auth { user, pass }, from, fromName (the sender's display
+ * name, default "Solar Quote System"), to, cc, messageDomain, and transport: a nodemailer
+ * transport used instead of the server (e.g. a fake one in tests)
+ */
+function createSmtpChannel(options) {
+  const transporter = nodemailer.createTransport(options.transport || {
+    ...(options.service ? { service: options.service } : { host: options.host, port: options.port || 587 }),
+    secure: options.secure !== undefined ? options.secure : options.port === 465,
+    auth: options.auth && options.auth.user ? options.auth : undefined,
+    pool: true, // Enable connection pooling for efficiency
+    maxConnections: options.maxConnections || 5,
+    ignoreTLS: options.ignoreTLS
+  });
+
+  const fromAddress = options.from || (options.auth && options.auth.user);
+
+  return {
+    name: options.name,
+    type: 'smtp',
+    transporter,
+
+    /**
+     * Send any message through this channel's server, e.g. an email to the customer
+     */
+    async sendMessage({ to, cc = [], subject, html, text, attachments = [], headers = {} }) {
+      await waitForSendSlot();
+      const info = await metrics.timeEmailSend(options.name, () => transporter.sendMail({
+        from: {
+          name: options.fromName || 'Solar Quote System',
+          address: fromAddress
+        },
+        to,
+        cc,
+        subject,
+        html,
+        text, // Plain text alternative version
+        attachments,
+        headers: {
+          'X-Priority': '3', // Normal priority
+          'X-MSMail-Priority': 'Normal',
+          'Importance': 'Normal',
+          'X-Mailer': 'Solar Quote System Mailer',
+          // Ties the email to the request (and log lines) that led to it
+          ...(logger.currentRequestId() ? { 'X-Request-Id': logger.currentRequestId() } : {}),
+          ...headers
+        },
+        // Custom Message-ID domain if configured
+        messageId: options.messageDomain ?
+          `<${Date.now()}.${Math.random().toString(36).substring(2, 15)}@${options.messageDomain}>` :
+          undefined
+      }));
+
+      return { messageId: info.messageId };
+    },
+
+    // New-lead notification to `recipients` ({ to, cc }) when the lead was routed to a team
+    // through this channel, otherwise to the configured recipients
+    send(lead, { email, attachments = [], recipients = null }) {
+      return this.sendMessage({
+        to: recipients ? recipients.to : options.to,
+        cc: recipients ? recipients.cc || [] : options.cc || [],
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        attachments,
+        headers: { 'X-Lead-Id': lead.id }
+      });
+    },
+
+    verify() {
+      return transporter.verify();
+    }
+  };
+}
+
+module.exports = createSmtpChannel;
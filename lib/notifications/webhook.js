@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { postJson } = require('./http');
+
+// The lead fields a receiver gets: the customer's contact details and the system they asked about
+const CONTACT_FIELDS = ['name', 'email', 'phone', 'address', 'contactMethod', 'comments', 'locale'];
+const SYSTEM_FIELDS = [
+  'systemSize', 'solarPanels', 'battery', 'systemType', 'dailyEnergy', 'dailyUsage', 'electricBill',
+  'annualOutput', 'monthlySavings', 'tilt', 'orientation', 'locationCoordinates', 'purchaseTimeline'
+];
+
+const pick = (source, names) => names.reduce((result, name) => (
+  source[name] === undefined || source[name] === null || source[name] === '' ? result : { ...result, [name]: source[name] }
+), {});
+
+/**
+ * What a webhook receiver is sent of a lead. Built from an allow-list so the customer token,
+ * internal notes, status history and storage paths never leave the service.
+ */
+function leadPayload(lead) {
+  const fields = lead.fields || {};
+  const routing = lead.routing || null;
+
+  return {
+    id: lead.id,
+    createdAt: lead.createdAt,
+    calculatorMode: lead.calculatorMode,
+    brand: lead.brand || null,
+    contact: pick(fields, CONTACT_FIELDS),
+    system: pick(fields, SYSTEM_FIELDS),
+    routing: routing ? { route: routing.route, team: routing.team, score: routing.score, region: routing.region } : null,
+    photoCount: (lead.attachments || []).length
+  };
+}
+
+/**
+ * JSON webhook channel, e.g. for pushing leads into a CRM. It posts two events:
+ *
+ *   quote_request.created  a new lead, as leadPayload
+ *   quote_request.erased   the customer's data was erased here (on request or by retention);
+ *                          the receiver should erase its copy of lead.id too
+ *
+ * When a secret is configured every request carries an HMAC-SHA256 signature of
+ * "<timestamp>.<body>" so the receiver can check it came from us and isn't a replay:
+ *
+ *   X-Solar-Timestamp: 1700000000
+ *   X-Solar-Signature: sha256=<hex digest>
+ *
+ * Options: url, secret, headers, timeoutMs
+ */
+function createWebhookChannel(options) {
+  function post(event, lead) {
+    const body = JSON.stringify({ event, sentAt: new Date().toISOString(), lead });
+
+    const headers = { ...(options.headers || {}) };
+    if (options.secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const signature = crypto
+        .createHmac('sha256', options.secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+
+      headers['X-Solar-Timestamp'] = timestamp;
+      headers['X-Solar-Signature'] = `sha256=${signature}`;
+    }
+
+    return postJson(options.url, body, { headers, timeoutMs: options.timeoutMs });
+  }
+
+  return {
+    name: options.name,
+    type: 'webhook',
+
+    async send(lead) {
+      return post('quote_request.created', leadPayload(lead));
+    },
+
+    async sendErasure(leadId) {
+      return post('quote_request.erased', { id: leadId });
+    }
+  };
+}
+
+module.exports = createWebhookChannel;
+module.exports.leadPayload = leadPayload;
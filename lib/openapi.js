@@ -0,0 +1,388 @@
+/**
+ * The OpenAPI 3.1 document for /api/v1. The quote request schema is built from the validation
+ * field definitions so the document can't drift from what the API accepts.
+ */
+const { FIELDS, SYSTEM_TYPES } = require('./validation');
+const config = require('./config');
+const { camelCase } = require('./apiResponses');
+const publicUrl = require('./publicUrl');
+const { version } = require('../package.json');
+
+// JSON Schema for each validation field type
+const FIELD_SCHEMAS = {
+  string: spec => ({
+    type: 'string',
+    ...(spec.maxLength ? { maxLength: spec.maxLength } : {}),
+    ...(spec.pattern ? { pattern: spec.pattern.source } : {})
+  }),
+  email: () => ({ type: 'string', format: 'email', maxLength: 254 }),
+  phone: () => ({ type: 'string', description: '7 to 15 digits with an optional leading +; spaces, dots, dashes and brackets are ignored' }),
+  enum: spec => ({ type: 'string', enum: spec.values }),
+  number: spec => ({ type: 'number', minimum: spec.min, maximum: spec.max }),
+  quantity: spec => ({
+    type: ['number', 'string'],
+    description: `A number from ${spec.min} to ${spec.max}, or the figure as shown to the customer with its unit (e.g. "5.2 kW"), kept as sent`
+  }),
+  systemType: () => ({
+    type: 'string',
+    enum: Object.keys(SYSTEM_TYPES),
+    description: `Also accepted: ${Object.values(SYSTEM_TYPES).flat().filter(name => !SYSTEM_TYPES[name]).join(', ')}`
+  }),
+  orientation: () => ({ type: 'string', description: 'A compass direction (e.g. "south", "south-east") or an azimuth in degrees' }),
+  coordinates: () => ({ type: 'string', description: '"latitude, longitude"', examples: ['6.5244, 3.3792'] })
+};
+
+// Every calculator field under its camelCase name
+function fieldProperties() {
+  const properties = {};
+  Object.keys(FIELDS).forEach(field => {
+    properties[camelCase(field)] = FIELD_SCHEMAS[FIELDS[field].type](FIELDS[field]);
+  });
+  return properties;
+}
+
+function quoteRequestSchema(uploads) {
+  return {
+    type: 'object',
+    description: 'Which fields apply depends on the calculator: give calculatorMode, or it is detected from the fields sent. '
+      + 'Email is required when contactMethod is email, phone when it is phone or sms, and one of them when no contactMethod is given.',
+    required: ['name'],
+    properties: {
+      ...fieldProperties(),
+      photoIds: {
+        type: 'array',
+        items: { type: 'string' },
+        maxItems: uploads.maxFiles,
+        description: 'IDs of photos uploaded through POST /uploads that have not expired or been used by another quote'
+      },
+      formToken: {
+        type: 'string',
+        description: 'Token from GET /form-token; required when the server is configured to require it'
+      }
+    }
+  };
+}
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const draftResponse = description => ({
+  description,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: { success: { const: true }, data: { $ref: '#/components/schemas/Draft' } }
+      }
+    }
+  }
+});
+
+const tokenParameter = { name: 'token', in: 'path', required: true, schema: { type: 'string' }, description: 'The draft\'s resume token' };
+
+const draftRequestBody = {
+  required: true,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/DraftRequest' } } }
+};
+
+/**
+ * The OpenAPI document, with the server URL and upload limits taken from the config
+ */
+function buildDocument() {
+  const { uploads } = config.get();
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Solar Calculator API',
+      version,
+      description: 'Quote requests for partner sites and the mobile app. Request and response fields are camelCase. '
+        + 'Every error has the same envelope; quote its requestId when reporting a problem.'
+    },
+    servers: [{ url: `${publicUrl()}/api/v1` }],
+    paths: {
+      '/quotes': {
+        post: {
+          summary: 'Submit a quote request',
+          description: 'Upload any photos first with POST /uploads and list their IDs in photoIds.',
+          requestBody: {
+            required: true,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/QuoteRequest' } } }
+          },
+          responses: {
+            201: {
+              description: 'The quote request was accepted',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Submitted' } } }
+            },
+            400: errorResponse('Malformed JSON, or a missing, expired or too quickly used form token'),
+            415: errorResponse('The body is not application/json'),
+            422: errorResponse('Invalid fields or photoIds; error.details lists each problem'),
+            429: errorResponse('Too many requests from this address or for this email; see the Retry-After header')
+          }
+        }
+      },
+      '/drafts': {
+        post: {
+          summary: 'Save a partly filled calculator as a draft',
+          description: 'Returns a resume token and link to reopen the draft with. Drafts expire a set time after they were last saved.',
+          requestBody: draftRequestBody,
+          responses: {
+            201: draftResponse('The saved draft'),
+            415: errorResponse('The body is not application/json'),
+            422: errorResponse('Invalid fields, or sendLink without an email address or a page to resume on'),
+            429: errorResponse('Too many requests from this address or for this email; see the Retry-After header')
+          }
+        }
+      },
+      '/drafts/{token}': {
+        parameters: [tokenParameter],
+        get: {
+          summary: 'Reopen a draft',
+          responses: {
+            200: draftResponse('The draft'),
+            404: errorResponse('Unknown or expired draft'),
+            409: errorResponse('The draft has already been submitted')
+          }
+        },
+        put: {
+          summary: 'Save a draft again, replacing its fields',
+          requestBody: draftRequestBody,
+          responses: {
+            200: draftResponse('The saved draft, with its expiry restarted'),
+            404: errorResponse('Unknown or expired draft'),
+            409: errorResponse('The draft has already been submitted'),
+            422: errorResponse('Invalid fields, or sendLink without an email address or a page to resume on')
+          }
+        },
+        delete: {
+          summary: 'Delete a draft',
+          responses: {
+            200: { description: 'The draft was deleted' },
+            404: errorResponse('Unknown or expired draft')
+          }
+        }
+      },
+      '/drafts/{token}/submit': {
+        parameters: [tokenParameter],
+        post: {
+          summary: 'Submit a draft as a quote request',
+          description: 'Fields in the body complete or override the saved ones; photoIds and formToken work as for POST /quotes.',
+          requestBody: {
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/QuoteRequest' } } }
+          },
+          responses: {
+            201: {
+              description: 'The quote request was accepted; the draft can no longer be used',
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/Submitted' } } }
+            },
+            404: errorResponse('Unknown or expired draft'),
+            409: errorResponse('The draft has already been submitted'),
+            422: errorResponse('The saved and given fields together are not a valid quote request')
+          }
+        }
+      },
+      '/privacy-requests': {
+        post: {
+          summary: 'Ask for a copy or the erasure of the personal data held for an email address',
+          description: 'A one-time verification link is emailed to the address; the request is only carried out once the '
+            + 'link is confirmed. The response is the same whether or not any data is held.',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['email', 'type'],
+                  properties: {
+                    email: { type: 'string', format: 'email' },
+                    type: { type: 'string', enum: ['access', 'erasure'] },
+                    locale: { type: 'string', description: 'Language of the verification email, e.g. "fr"' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            202: {
+              description: 'The verification email is on its way',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { const: true },
+                      data: {
+                        type: 'object',
+                        properties: {
+                          type: { type: 'string', enum: ['access', 'erasure'] },
+                          status: { const: 'pending_verification' },
+                          expiresAt: { type: 'string', format: 'date-time' }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            422: errorResponse('Missing or invalid email or type'),
+            429: errorResponse('Too many requests from this address or for this email; see the Retry-After header')
+          }
+        }
+      },
+      '/uploads': {
+        post: {
+          summary: 'Upload photos for a quote request',
+          description: `Photos not used by a quote request are deleted after they expire. `
+            + `At most ${uploads.maxFiles} files of up to ${uploads.maxFileMb}MB each.`,
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    photos: {
+                      type: 'array',
+                      items: { type: 'string', format: 'binary' },
+                      description: `Any field name may be used. Accepted types: ${uploads.mimetypes.join(', ')}`
+                    }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            201: {
+              description: 'The stored photos, in the order sent',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { const: true },
+                      data: { type: 'array', items: { $ref: '#/components/schemas/Upload' } }
+                    }
+                  }
+                }
+              }
+            },
+            413: errorResponse('Too many or too large files'),
+            422: errorResponse('A file is not an accepted image'),
+            429: errorResponse('Too many requests from this address; see the Retry-After header')
+          }
+        }
+      },
+      '/form-token': {
+        get: {
+          summary: 'Get a form token to send with a quote request',
+          responses: {
+            200: {
+              description: 'A single-use token, valid after minFillSeconds',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { const: true },
+                      data: {
+                        type: 'object',
+                        properties: { token: { type: 'string' }, minFillSeconds: { type: 'number' } }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'This document',
+          responses: { 200: { description: 'The OpenAPI document' } }
+        }
+      }
+    },
+    components: {
+      schemas: {
+        QuoteRequest: quoteRequestSchema(uploads),
+        DraftRequest: {
+          type: 'object',
+          description: 'Any calculator\'s fields, none required',
+          properties: {
+            ...fieldProperties(),
+            sendLink: { type: 'boolean', description: 'Email the resume link to the draft\'s email address' }
+          }
+        },
+        Draft: {
+          type: 'object',
+          properties: {
+            token: { type: 'string' },
+            calculatorMode: { type: ['string', 'null'] },
+            fields: { type: 'object', description: 'The saved fields, as in DraftRequest' },
+            resumeUrl: { type: ['string', 'null'], format: 'uri' },
+            resumeEmailStatus: { type: ['string', 'null'], enum: ['queued', 'sent', 'failed', null] },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        Submitted: {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            data: { type: 'object', properties: { id: { type: 'string' } } }
+          }
+        },
+        Upload: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            fileName: { type: 'string' },
+            mimetype: { type: 'string' },
+            size: { type: 'integer' },
+            width: { type: 'integer' },
+            height: { type: 'integer' },
+            expiresAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            success: { const: false },
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: {
+                  type: 'string',
+                  description: 'e.g. validation_failed, invalid_json, unsupported_media_type, upload_too_large, '
+                    + 'rate_limited, form_expired, form_too_fast, draft_not_found, draft_submitted, not_found, internal_error'
+                },
+                message: { type: 'string' },
+                details: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      field: { type: 'string' },
+                      code: { type: 'string' },
+                      message: { type: 'string' }
+                    }
+                  }
+                },
+                requestId: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildDocument
+};
@@ -0,0 +1,12 @@
+const path = require('path');
+const config = require('./config');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Directory holding the runtime data files (leads, jobs, uploads, etc.): server.dataDir (DATA_DIR)
+const dataDir = () => path.resolve(config.get().server.dataDir || DEFAULT_DATA_DIR);
+
+module.exports = {
+  dataDir,
+  dataPath: (...segments) => path.join(dataDir(), ...segments)
+};
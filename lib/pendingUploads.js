@@ -0,0 +1,109 @@
+/**
+ * Photos uploaded through POST /api/v1/uploads ahead of a JSON quote submission.
+ * Each photo gets its own upload ID, which the submission lists in `photoIds`; the photo then
+ * becomes one of the lead's attachments. Photos no quote has claimed within
+ * uploads.pendingHours in the config (default 24) are deleted.
+ *
+ * Claims are checked and taken in one step, with nothing awaited in between, so two quotes
+ * submitted at the same time can never both get the same photo.
+ */
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+const attachmentStore = require('./attachmentStore');
+const { dataPath } = require('./paths');
+const config = require('./config');
+const logger = require('./logger');
+
+const store = new JsonStore(() => dataPath('pending-uploads.json'));
+
+// What the API shows of an upload
+function publicView(record) {
+  const { attachment } = record;
+  return {
+    id: record.id,
+    fileName: attachment.originalname,
+    mimetype: attachment.mimetype,
+    size: attachment.size,
+    width: attachment.width,
+    height: attachment.height,
+    expiresAt: record.expiresAt
+  };
+}
+
+/**
+ * Store processed images (from imagePipeline.processUploads), one upload ID each.
+ * Resolves with what the API returns for each.
+ */
+async function savePending(images) {
+  await purgeExpired();
+
+  const records = [];
+  for (const image of images) {
+    const id = `up_${crypto.randomBytes(12).toString('hex')}`;
+    const [attachment] = await attachmentStore.saveImages(id, [image]);
+    const now = new Date();
+
+    records.push(await store.insert({
+      id,
+      attachment,
+      claimedAt: null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + config.get().uploads.pendingHours * 60 * 60 * 1000).toISOString()
+    }));
+  }
+
+  return records.map(publicView);
+}
+
+/**
+ * Claim uploads for a quote about to be stored, all or nothing. Resolves with the attachments of
+ * the uploads, now claimed so they are neither deleted nor used again, and an empty
+ * `unavailable`; or, when any can't be used (unknown, expired or already claimed), with their
+ * IDs in `unavailable` and nothing claimed. Release the claim if the quote isn't stored.
+ */
+async function claim(ids) {
+  const now = new Date().toISOString();
+  const records = ids.map(id => store.get(id));
+  const unavailable = ids.filter((id, i) => !records[i] || records[i].claimedAt || records[i].expiresAt <= now);
+  if (unavailable.length > 0) return { attachments: [], unavailable };
+
+  records.forEach(record => { record.claimedAt = now; });
+  if (records.length > 0) await store.flush();
+  return { attachments: records.map(record => record.attachment), unavailable };
+}
+
+/**
+ * Give back uploads claimed for a quote that was not stored, so it can be submitted again
+ */
+async function release(ids) {
+  for (const id of ids) {
+    await store.update(id, record => {
+      record.claimedAt = null;
+    });
+  }
+}
+
+// Delete unclaimed uploads past their expiry, and forget claimed ones (their files belong to the lead now)
+async function purgeExpired() {
+  const now = new Date().toISOString();
+  const expired = store.all().filter(record => record.expiresAt <= now);
+
+  for (const record of expired) {
+    if (!record.claimedAt) {
+      try {
+        await attachmentStore.removeFiles([record.attachment]);
+      } catch (error) {
+        logger.warn('Failed to delete expired upload', { uploadId: record.id, error: error.message });
+        continue;
+      }
+    }
+    await store.remove(record.id);
+  }
+}
+
+module.exports = {
+  savePending,
+  claim,
+  release,
+  purgeExpired
+};
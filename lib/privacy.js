@@ -0,0 +1,330 @@
+/**
+ * Customers' data rights (NDPR/GDPR) and data retention.
+ *
+ * A customer asks for a copy of their data ("access") or for it to be erased ("erasure") by
+ * giving their email address. Nothing happens until they open the one-time verification link
+ * emailed to that address, valid for privacy.verifyHours in the config (default 24). Access then
+ * hands them their leads and drafts as JSON; erasure anonymises their leads (privacy.erasureMode
+ * anonymise, the default, keeps the system details for reporting) or deletes them (delete),
+ * together with their photos and drafts, the notifications and confirmation still queued for
+ * them and the address's entries in the recent blocked attempts. Webhook channels that were sent
+ * a lead get a quote_request.erased event so the receiver can erase its copy. Leads are matched
+ * by email address only.
+ *
+ * The data deletion link in a lead's confirmation email needs no second verification: the
+ * customer token it carries was only ever sent to that address (eraseForLead).
+ *
+ * With privacy.retentionDays set, leads are purged the same way that many days after they came in,
+ * or after they were closed (won or lost), checked daily. Later edits such as notes don't extend
+ * it. Every request, export, erasure and purge goes to the audit log.
+ */
+const crypto = require('crypto');
+const JsonStore = require('./jsonStore');
+const jobQueue = require('./jobQueue');
+const leadStore = require('./leadStore');
+const drafts = require('./drafts');
+const attachmentStore = require('./attachmentStore');
+const auditLog = require('./auditLog');
+const notifications = require('./notifications');
+const abuseProtection = require('./abuseProtection');
+const templates = require('./templates');
+const publicUrl = require('./publicUrl');
+const { dataPath } = require('./paths');
+const config = require('./config');
+const logger = require('./logger');
+
+const store = new JsonStore(() => dataPath('privacy-requests.json'));
+
+const REQUEST_TYPES = ['access', 'erasure'];
+
+const RETENTION_CHECK_MS = 24 * 60 * 60 * 1000;
+
+// Lead statuses after which nothing more happens, so retention runs from when they were reached
+const CLOSED_STATUSES = ['won', 'lost'];
+
+const VERIFICATION_JOB = 'privacy-verification';
+
+const erasureMode = () => config.get().privacy.erasureMode;
+
+const isExpired = request => request.expiresAt <= new Date().toISOString();
+
+// Link that confirms a request
+const verificationUrl = request => `${publicUrl()}/api/customer/privacy?token=${encodeURIComponent(request.token)}`;
+
+/**
+ * Record an access or erasure request for `email` and queue the verification email. Resolves
+ * with the request. Whether any data is held for the address is not revealed at this point.
+ */
+async function createRequest({ type, email, locale, origin }) {
+  const request = await insertRequest({ type, email, locale, origin, source: 'api' });
+  await jobQueue.enqueue(VERIFICATION_JOB, { privacyRequestId: request.id });
+  return request;
+}
+
+// Store a new pending request and audit it. `source` is where it came from: the API or an emailed link
+async function insertRequest({ type, email, locale, origin, source }) {
+  await purgeExpiredRequests();
+
+  const now = new Date();
+  const request = await store.insert({
+    id: `pr_${crypto.randomBytes(8).toString('hex')}`,
+    type,
+    email,
+    emailHash: auditLog.hashEmail(email),
+    token: crypto.randomBytes(24).toString('hex'),
+    locale: locale || null,
+    brand: templates.brandForOrigin(origin),
+    source,
+    status: 'pending',
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + config.get().privacy.verifyHours * 60 * 60 * 1000).toISOString()
+  });
+
+  await auditLog.record('privacy.requested', { privacyRequestId: request.id, type, source, emailHash: request.emailHash });
+  return request;
+}
+
+/**
+ * The pending request for a verification token, or null when it is unknown, used or expired
+ */
+function findPendingByToken(token) {
+  if (!token) return null;
+  const request = store.all().find(record => record.token === token);
+  return request && request.status === 'pending' && !isExpired(request) ? request : null;
+}
+
+// Close a request: the token can't be used again and the address is no longer kept in the clear
+async function completeRequest(id, outcome) {
+  return store.update(id, record => {
+    record.status = 'completed';
+    record.token = null;
+    record.email = null;
+    record.completedAt = new Date().toISOString();
+    record.outcome = outcome;
+  });
+}
+
+// What the export shows of a lead: everything the customer gave us and what we did with it
+function exportLead(lead) {
+  return {
+    reference: lead.id,
+    submittedAt: lead.createdAt,
+    calculatorMode: lead.calculatorMode,
+    status: lead.status,
+    details: lead.fields,
+    photos: (lead.attachments || []).map(file => ({
+      fileName: file.originalname,
+      url: file.storedAs ? attachmentStore.signedUrl(file.storedAs) : null
+    })),
+    calculation: lead.calculation ? lead.calculation.result : null,
+    repeatSubmissions: (lead.duplicates || []).map(duplicate => ({ at: duplicate.at, details: duplicate.fields })),
+    unsubscribed: Boolean(lead.unsubscribed),
+    confirmationEmail: lead.confirmation ? { status: lead.confirmation.status, at: lead.confirmation.at } : null
+  };
+}
+
+/**
+ * Carry out a verified access request. Resolves with the customer's data as a plain object.
+ */
+async function exportData(request) {
+  const leads = leadStore.findByEmail(request.email);
+  const savedDrafts = drafts.findByEmail(request.email);
+
+  const data = {
+    generatedAt: new Date().toISOString(),
+    email: request.email,
+    quoteRequests: leads.map(exportLead),
+    savedDrafts: savedDrafts.map(draft => ({
+      savedAt: draft.updatedAt,
+      expiresAt: draft.expiresAt,
+      details: draft.fields
+    }))
+  };
+
+  const leadIds = leads.map(lead => lead.id);
+  await completeRequest(request.id, { leadIds, drafts: savedDrafts.length });
+  await auditLog.record('privacy.exported', {
+    privacyRequestId: request.id,
+    emailHash: request.emailHash,
+    leadIds,
+    drafts: savedDrafts.length
+  });
+  return data;
+}
+
+// Anonymise or delete leads, drop their queued deliveries, remove their photos and tell the
+// webhook receivers that got them. Resolves with how many files were removed.
+async function eraseLeads(leads, mode) {
+  let files = 0;
+
+  for (const lead of leads) {
+    const cancelled = await jobQueue.cancelJobs(job => job.payload && job.payload.leadId === lead.id);
+    if (cancelled.length > 0) {
+      logger.info('Cancelled queued jobs for erased lead', { leadId: lead.id, jobs: cancelled.length });
+    }
+    await notifications.queueErasure(lead);
+    abuseProtection.forgetEmail(lead.fields.email);
+
+    const attachments = lead.attachments || [];
+    await attachmentStore.removeFiles(attachments);
+    files += attachments.length;
+
+    if (mode === 'delete') {
+      await leadStore.deleteLead(lead.id);
+    } else {
+      await leadStore.anonymiseLead(lead.id);
+    }
+  }
+  return files;
+}
+
+/**
+ * Carry out a verified erasure request. Resolves with { mode, leadIds, files, drafts }.
+ */
+async function eraseData(request) {
+  const mode = erasureMode();
+  const leads = leadStore.findByEmail(request.email);
+  const savedDrafts = drafts.findByEmail(request.email);
+
+  const files = await eraseLeads(leads, mode);
+  for (const draft of savedDrafts) {
+    await drafts.deleteDraft(draft.id);
+  }
+  abuseProtection.forgetEmail(request.email);
+
+  const outcome = { mode, leadIds: leads.map(lead => lead.id), files, drafts: savedDrafts.length };
+  await completeRequest(request.id, outcome);
+  await auditLog.record('privacy.erased', { privacyRequestId: request.id, emailHash: request.emailHash, ...outcome });
+  logger.info('Erased customer data', { privacyRequestId: request.id, mode, leads: leads.length });
+  return outcome;
+}
+
+/**
+ * Erase the data held for a lead's email address from the deletion link in its confirmation
+ * email, whose customer token already proves the customer received mail there. Opens an
+ * erasure request and carries it out; resolves with the outcome as for eraseData.
+ */
+async function eraseForLead(lead) {
+  const request = await insertRequest({
+    type: 'erasure',
+    email: lead.fields.email,
+    locale: lead.fields.locale,
+    source: 'confirmation-email'
+  });
+  return eraseData(request);
+}
+
+// When a lead's retention period starts: when it was closed, otherwise when it came in
+function retentionStart(lead) {
+  if (CLOSED_STATUSES.includes(lead.status)) {
+    const closed = (lead.statusHistory || []).filter(entry => entry.status === lead.status).pop();
+    if (closed) return closed.at;
+  }
+  return lead.createdAt;
+}
+
+/**
+ * Purge leads whose retention period of privacy.retentionDays is over (nothing when it is unset).
+ * `by` is the admin who started the run, recorded in the audit log (the daily run has none).
+ * Resolves with { mode, leadIds, files }, or null when retention is off.
+ */
+async function purgeStaleLeads({ by = null } = {}) {
+  const days = config.get().privacy.retentionDays;
+  if (!days) return null;
+
+  const mode = erasureMode();
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  // Anonymised leads have nothing left to purge; with mode=delete they go too
+  const stale = leadStore.listLeads()
+    .filter(lead => retentionStart(lead) < cutoff)
+    .filter(lead => mode === 'delete' || !lead.anonymisedAt);
+
+  if (stale.length === 0) return { mode, leadIds: [], files: 0 };
+
+  const files = await eraseLeads(stale, mode);
+  const outcome = { mode, leadIds: stale.map(lead => lead.id), files };
+  await auditLog.record('retention.purged', { retentionDays: days, by, ...outcome });
+  logger.info('Purged leads past retention', { mode, leads: stale.length });
+  return outcome;
+}
+
+let retentionTimer = null;
+
+/**
+ * Run the retention purge now and then once a day
+ */
+function startRetentionSchedule() {
+  if (retentionTimer) return;
+
+  const run = () => purgeStaleLeads().catch(error => {
+    logger.error('Retention purge failed', { error });
+  });
+  retentionTimer = setInterval(() => logger.runWithRequestId(null, run), RETENTION_CHECK_MS);
+  retentionTimer.unref();
+  logger.runWithRequestId(null, run);
+}
+
+// Drop requests nobody verified in time, so their addresses aren't kept
+async function purgeExpiredRequests() {
+  const expired = store.all().filter(request => request.status === 'pending' && isExpired(request));
+  for (const request of expired) {
+    await store.update(request.id, record => {
+      record.status = 'expired';
+      record.token = null;
+      record.email = null;
+    });
+  }
+}
+
+async function sendVerification({ privacyRequestId }) {
+  const request = store.get(privacyRequestId);
+
+  // Verified or expired before a retried job ran
+  if (!request || request.status !== 'pending' || isExpired(request)) return { skipped: true };
+
+  const mailer = notifications.getCustomerMailer();
+  if (!mailer) throw new Error('No SMTP channel is configured for customer emails');
+
+  const { locale } = templates.translator(request.locale);
+  const email = templates.renderEmail('privacy-verification', {
+    brand: request.brand,
+    locale: request.locale,
+    data: {
+      requestedKey: `privacy.requested.${request.type}`,
+      verifyUrl: verificationUrl(request),
+      expiresAt: new Date(request.expiresAt).toLocaleString(locale, { dateStyle: 'long', timeStyle: 'short' })
+    }
+  });
+
+  return mailer.sendMessage({
+    to: request.email,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    headers: { 'X-Privacy-Request-Id': request.id }
+  });
+}
+
+jobQueue.registerHandler(VERIFICATION_JOB, sendVerification);
+
+/**
+ * Requests newest first, without the addresses or tokens, for the admin API
+ */
+function listRequests({ limit = 100 } = {}) {
+  return store.all()
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(({ email, token, ...request }) => request);
+}
+
+module.exports = {
+  REQUEST_TYPES,
+  createRequest,
+  findPendingByToken,
+  exportData,
+  eraseData,
+  eraseForLead,
+  purgeStaleLeads,
+  startRetentionSchedule,
+  listRequests
+};
@@ -0,0 +1,295 @@
+/**
+ * Branded PDF quote proposal for a lead: customer details, the system details for its calculator
+ * mode, the server's production and savings estimate, installation preferences and site photos.
+ * Attached to the internal email (and optionally the customer's) and downloadable from the admin API.
+ */
+const PDFDocument = require('pdfkit');
+const templates = require('./templates');
+const attachmentStore = require('./attachmentStore');
+const logger = require('./logger');
+
+const PAGE_MARGIN = 50;
+const TEXT_COLOR = '#2c3e50';
+const MUTED_COLOR = '#7f8c8d';
+const RULE_COLOR = '#eeeeee';
+
+// Fields shown under "System Details" per calculator mode, as [label key, field, fallback key]
+const SYSTEM_ROWS = {
+  advanced: [
+    ['label.systemType', 'systemType', 'value.notSpecified'],
+    ['label.orientation', 'orientation', 'value.notSpecified'],
+    ['label.tilt', 'tilt', 'value.notSpecified'],
+    ['label.systemSize', 'systemSize', 'value.notCalculated'],
+    ['label.annualOutput', 'annualOutput', 'value.notCalculated'],
+    ['label.monthlySavings', 'monthlySavings', 'value.notCalculated'],
+    ['label.dailyUsage', 'dailyUsage', 'value.notSpecified'],
+    ['label.electricBill', 'electricBill', 'value.notSpecified'],
+    ['label.coordinates', 'locationCoordinates', 'value.notSpecified']
+  ],
+  default: [
+    ['label.solarPanels', 'solarPanels', 'value.notCalculated'],
+    ['label.battery', 'battery', 'value.notCalculated'],
+    ['label.systemSize', 'systemSize', 'value.notCalculated'],
+    ['label.dailyEnergy', 'dailyEnergy', 'value.notCalculated']
+  ]
+};
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+/**
+ * The built-in PDF fonts only cover Latin-1, so spell out the naira sign and swap
+ * any other character they can't draw (including locale-specific spaces)
+ */
+function pdfText(value) {
+  return String(value)
+    .replace(/\u20a6/g, 'NGN ')
+    .replace(/[\u2000-\u200b\u202f]/g, ' ')
+    .replace(/[\u2018\u2019]/g, '\'')
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[^\n\x20-\xff]/g, '?');
+}
+
+// Start a new page when fewer than `height` points are left on this one
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+function drawHeader(doc, { brand, t, lead, locale }) {
+  const width = doc.page.width;
+  const logo = templates.brandAsset(brand.name, 'logo.png');
+
+  doc.rect(0, 0, width, 110).fill(brand.primaryColor || '#1a3755');
+  doc.rect(0, 110, width, 4).fill(brand.accentColor || '#3498db');
+
+  if (logo) {
+    doc.image(logo, PAGE_MARGIN, 28, { fit: [120, 54] });
+  } else {
+    doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(16)
+      .text(pdfText(brand.displayName || brand.name), PAGE_MARGIN, 44, { width: 200 });
+  }
+
+  const issued = new Date().toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' });
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(22)
+    .text(pdfText(t('proposal.title')), width / 2, 30, { width: width / 2 - PAGE_MARGIN, align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(pdfText(t('proposal.reference', { id: lead.id })), { width: width / 2 - PAGE_MARGIN, align: 'right' })
+    .text(pdfText(t('proposal.date', { date: issued })), { width: width / 2 - PAGE_MARGIN, align: 'right' });
+
+  doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(14)
+    .text(pdfText(t('proposal.preparedFor', { name: lead.fields.name })), PAGE_MARGIN, 140);
+  doc.moveDown(0.5);
+}
+
+function drawSectionHeading(doc, brand, title) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.8);
+  doc.fillColor(brand.primaryColor || '#1a3755').font('Helvetica-Bold').fontSize(13)
+    .text(pdfText(title), PAGE_MARGIN);
+  const y = doc.y + 3;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y)
+    .lineWidth(1).strokeColor(RULE_COLOR).stroke();
+  doc.y = y + 8;
+}
+
+// Label/value rows in two columns
+function drawRows(doc, rows) {
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  const labelWidth = contentWidth * 0.4;
+
+  rows.forEach(([label, value]) => {
+    ensureSpace(doc, 20);
+    const y = doc.y;
+    doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(10)
+      .text(pdfText(label), PAGE_MARGIN, y, { width: labelWidth - 10 });
+    const labelBottom = doc.y;
+    doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(10)
+      .text(pdfText(value), PAGE_MARGIN + labelWidth, y, { width: contentWidth - labelWidth });
+    doc.y = Math.max(labelBottom, doc.y) + 4;
+  });
+}
+
+// Bar chart of the monthly production estimate
+function drawProductionChart(doc, brand, t, months) {
+  const chartHeight = 120;
+  ensureSpace(doc, chartHeight + 50);
+
+  doc.moveDown(0.5);
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9).text(pdfText(t('proposal.monthlyChart')), PAGE_MARGIN);
+  doc.moveDown(0.3);
+
+  const top = doc.y + 12;
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  const slot = contentWidth / months.length;
+  const peak = Math.max(...months.map(month => month.outputKwh), 1);
+
+  months.forEach((month, index) => {
+    const barHeight = Math.max(1, (month.outputKwh / peak) * chartHeight);
+    const x = PAGE_MARGIN + index * slot + slot * 0.15;
+    const barWidth = slot * 0.7;
+
+    doc.rect(x, top + chartHeight - barHeight, barWidth, barHeight).fill(brand.accentColor || '#3498db');
+    doc.fillColor(TEXT_COLOR).font('Helvetica').fontSize(7)
+      .text(String(month.outputKwh), x - 4, top + chartHeight - barHeight - 10, { width: barWidth + 8, align: 'center' });
+    doc.fillColor(MUTED_COLOR).fontSize(8)
+      .text(month.month, x - 4, top + chartHeight + 4, { width: barWidth + 8, align: 'center' });
+  });
+
+  doc.y = top + chartHeight + 20;
+}
+
+// Thumbnails of the customer's site photos, three to a row
+function drawPhotos(doc, photos) {
+  const columns = 3;
+  const gap = 12;
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+  const size = (contentWidth - gap * (columns - 1)) / columns;
+
+  let column = 0;
+  photos.forEach(photo => {
+    if (column === 0) ensureSpace(doc, size + gap);
+    const x = PAGE_MARGIN + column * (size + gap);
+
+    try {
+      doc.image(photo.buffer, x, doc.y, { fit: [size, size], align: 'center', valign: 'center' });
+    } catch (error) {
+      // A file pdfkit can't decode is left out rather than failing the whole proposal
+      logger.warn('Skipping photo in proposal', { fileName: photo.name, error: error.message });
+      return;
+    }
+
+    column += 1;
+    if (column === columns) {
+      column = 0;
+      doc.y += size + gap;
+    }
+  });
+
+  if (column > 0) doc.y += size + gap;
+}
+
+// Page numbers, brand footer and the estimate disclaimer on every page
+function drawFooters(doc, brand, t) {
+  const range = doc.bufferedPageRange();
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0; // Writing inside the margin would otherwise start a new page
+
+    const y = doc.page.height - 45;
+    doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(7)
+      .text(pdfText(t('proposal.disclaimer')), PAGE_MARGIN, y, { width: doc.page.width - PAGE_MARGIN * 2, align: 'center' });
+    doc.fontSize(8)
+      .text(pdfText(`© ${new Date().getFullYear()} ${brand.footer || brand.displayName || ''}`), PAGE_MARGIN, y + 22, { align: 'left' })
+      .text(pdfText(t('proposal.page', { page: index + 1, pages: range.count })), PAGE_MARGIN, y + 22, {
+        width: doc.page.width - PAGE_MARGIN * 2,
+        align: 'right'
+      });
+
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Render the proposal for a lead. Resolves with the PDF as a Buffer.
+ * Options: `locale` (defaults to the customer's form locale).
+ */
+async function renderProposal(lead, { locale = lead.fields.locale } = {}) {
+  const brand = templates.loadBrand(lead.brand);
+  const { t, locale: resolvedLocale } = templates.translator(locale);
+  const { fields } = lead;
+  const result = lead.calculation ? lead.calculation.result : null;
+  const formatNumber = value => Number(value).toLocaleString(resolvedLocale);
+  const photos = await attachmentStore.photoThumbnails(lead);
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: PAGE_MARGIN, bottom: 70, left: PAGE_MARGIN, right: PAGE_MARGIN },
+    bufferPages: true,
+    info: {
+      Title: `${t('proposal.title')} ${lead.id}`,
+      Author: brand.displayName || brand.name
+    }
+  });
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  drawHeader(doc, { brand, t, lead, locale: resolvedLocale });
+
+  // Customer information
+  drawSectionHeading(doc, brand, t('quote.customer'));
+  drawRows(doc, [
+    [t('label.name'), fields.name],
+    [t('label.email'), isEmpty(fields.email) ? t('value.notProvided') : fields.email],
+    [t('label.phone'), isEmpty(fields.phone) ? t('value.notProvided') : fields.phone],
+    [t('label.address'), isEmpty(fields.address) ? t('value.notProvided') : fields.address]
+  ]);
+
+  // What the customer entered, laid out for their calculator mode
+  const modeName = t(`mode.${lead.calculatorMode}`);
+  drawSectionHeading(doc, brand, t('quote.systemDetailsMode', { mode: modeName }));
+  drawRows(doc, (SYSTEM_ROWS[lead.calculatorMode] || SYSTEM_ROWS.default)
+    .map(([label, field, fallback]) => [t(label), isEmpty(fields[field]) ? t(fallback) : fields[field]]));
+
+  // The server's own sizing, which is what the proposal is based on
+  drawSectionHeading(doc, brand, t('proposal.estimates'));
+  if (result) {
+    const { system, assumptions } = result;
+    drawRows(doc, [
+      [t('proposal.panels'), t('proposal.panelsValue', { count: system.panels, wattage: assumptions.panelWattage })],
+      [t('proposal.systemSize'), `${formatNumber(system.systemSizeKw)} kW`],
+      [t('proposal.battery'), system.batteryKwh > 0 ? `${formatNumber(system.batteryKwh)} kWh` : '-'],
+      [t('proposal.annualOutput'), `${formatNumber(system.annualOutputKwh)} kWh`],
+      [t('proposal.monthlySavings'), [brand.currency, formatNumber(system.monthlySavings)].filter(Boolean).join(' ')],
+      [t('proposal.peakSunHours'), formatNumber(assumptions.peakSunHours)]
+    ]);
+    if (result.monthlyProduction) {
+      drawProductionChart(doc, brand, t, result.monthlyProduction);
+    }
+  } else {
+    doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(10).text(pdfText(t('proposal.noEstimate')), PAGE_MARGIN);
+  }
+
+  drawSectionHeading(doc, brand, t('quote.preferences'));
+  drawRows(doc, [
+    [t('label.contactMethod'), isEmpty(fields.contactMethod) ? t('value.notSpecified') : fields.contactMethod],
+    [t('label.purchaseTimeline'), isEmpty(fields.purchaseTimeline) ? t('value.notSpecified') : fields.purchaseTimeline]
+  ]);
+
+  if (photos.length > 0) {
+    drawSectionHeading(doc, brand, t('proposal.photos'));
+    drawPhotos(doc, photos);
+  }
+
+  drawFooters(doc, brand, t);
+  doc.end();
+
+  return finished;
+}
+
+// File name for a lead's proposal, e.g. proposal-SQ-20240101-ABC123.pdf
+const proposalFileName = lead => `proposal-${lead.id}.pdf`;
+
+/**
+ * The proposal as a nodemailer attachment
+ */
+async function proposalAttachment(lead, options) {
+  return {
+    filename: proposalFileName(lead),
+    content: await renderProposal(lead, options),
+    contentType: 'application/pdf'
+  };
+}
+
+module.exports = {
+  renderProposal,
+  proposalFileName,
+  proposalAttachment
+};
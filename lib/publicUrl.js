@@ -0,0 +1,6 @@
+const config = require('./config');
+
+// Public base URL of this API, used for the links in emails (server.publicUrl, without a trailing slash)
+const publicUrl = () => config.get().server.publicUrl;
+
+module.exports = publicUrl;
@@ -0,0 +1,19 @@
+/**
+ * Parse an optional date query parameter: undefined when absent, null when invalid.
+ * `endOfDay` makes a bare date (YYYY-MM-DD) inclusive.
+ */
+function parseDateParam(value, endOfDay) {
+  if (!value) return undefined;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+module.exports = {
+  parseDateParam
+};
@@ -0,0 +1,74 @@
+/**
+ * Builds the internal "new quote request" email that goes to the sales team for a stored lead.
+ * The layout lives in templates/quote-notification.*.hbs; this module only prepares the data.
+ */
+const templates = require('./templates');
+const config = require('./config');
+
+const percent = fraction => Math.round(fraction * 100);
+
+// Server-side verification of the client's figures
+function calculationCheckView(calculation) {
+  if (!calculation || !calculation.check) return null;
+
+  const { check, result } = calculation;
+  return {
+    tolerance: percent(check.tolerance),
+    flagged: check.flagged.map(item => ({ ...item, deviation: percent(item.deviation) })),
+    system: result.system
+  };
+}
+
+// Monthly production estimate from the irradiance grid, with bar widths relative to the best month
+function productionView(calculation) {
+  const result = calculation ? calculation.result : null;
+  if (!result || !result.monthlyProduction) return null;
+
+  const peakMonth = Math.max(...result.monthlyProduction.map(month => month.outputKwh), 1);
+  return {
+    systemSizeKw: result.system.systemSizeKw,
+    annualOutputKwh: result.system.annualOutputKwh,
+    peakSunHours: result.assumptions.peakSunHours,
+    tilt: result.inputs.tilt,
+    azimuth: result.inputs.azimuth,
+    months: result.monthlyProduction.map(month => ({
+      month: month.month,
+      outputKwh: month.outputKwh,
+      barWidth: percent(month.outputKwh / peakMonth)
+    }))
+  };
+}
+
+/**
+ * Everything the quote-notification templates show for a lead. `photos` are the site photo
+ * links and thumbnail content IDs from attachmentStore.emailPhotos.
+ */
+function quoteEmailData(lead, photos = []) {
+  return {
+    reference: lead.id,
+    modeKey: `mode.${lead.calculatorMode}`,
+    fields: lead.fields,
+    check: calculationCheckView(lead.calculation),
+    production: productionView(lead.calculation),
+    routing: lead.routing || null,
+    photos
+  };
+}
+
+/**
+ * Render the subject, HTML and plain-text bodies for a lead, in the brand it was submitted
+ * under and the team's locale (email.locale, English by default)
+ */
+function buildQuoteEmail(lead, { locale = config.get().email.locale, photos } = {}) {
+  return templates.renderEmail('quote-notification', {
+    mode: lead.calculatorMode,
+    brand: lead.brand,
+    locale,
+    data: quoteEmailData(lead, photos)
+  });
+}
+
+module.exports = {
+  buildQuoteEmail,
+  quoteEmailData
+};
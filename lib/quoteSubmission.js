@@ -0,0 +1,151 @@
+/**
+ * The quote submission pipeline shared by the multipart form (POST /api/send-quote-request)
+ * and the JSON API (POST /api/v1/quotes): validation, the server-side sizing check, merging
+ * repeats into the earlier lead, routing, storing the lead and queueing its notifications.
+ */
+const leadStore = require('./leadStore');
+const solarCalculator = require('./solarCalculator');
+const validation = require('./validation');
+const notifications = require('./notifications');
+const customerConfirmation = require('./customerConfirmation');
+const attachmentStore = require('./attachmentStore');
+const abuseProtection = require('./abuseProtection');
+const leadRouting = require('./leadRouting');
+const templates = require('./templates');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const config = require('./config');
+const { sendError } = require('./apiResponses');
+
+// Form field names and the names they are stored under on the lead
+const LEAD_FIELDS = {
+  'name': 'name',
+  'email': 'email',
+  'phone': 'phone',
+  'address': 'address',
+  'comments': 'comments',
+  'solar-panels': 'solarPanels',
+  'battery': 'battery',
+  'system-size': 'systemSize',
+  'daily-energy': 'dailyEnergy',
+  'contact-method': 'contactMethod',
+  'system-type': 'systemType',
+  'orientation': 'orientation',
+  'annual-output': 'annualOutput',
+  'monthly-savings': 'monthlySavings',
+  'daily-usage': 'dailyUsage',
+  'electric-bill': 'electricBill',
+  'tilt': 'tilt',
+  'location-coordinates': 'locationCoordinates',
+  'purchase-timeline': 'purchaseTimeline',
+  'calculator-mode': 'clientCalculatorMode',
+  'locale': 'locale'
+};
+
+/**
+ * Detect the calculator mode from the schemas, then validate and normalise `body` (form field
+ * names) against that mode's schema. Returns { calculatorMode, formData, errors }.
+ */
+function validateSubmission(body) {
+  const calculatorMode = validation.detectMode(body);
+
+  // Customer details in the form are masked by the logger
+  logger.info('Received quote request', { calculatorMode, form: body });
+
+  const { value: formData, errors } = validation.validate(validation.MODE_SCHEMAS[calculatorMode], body, {
+    rejectUnknown: config.get().submissions.rejectUnknownFields
+  });
+
+  if (errors.length > 0) metrics.recordValidationFailure(calculatorMode);
+  return { calculatorMode, formData, errors };
+}
+
+function sendValidationErrors(res, errors) {
+  return sendError(res, 422, { code: 'validation_failed', message: 'Validation failed', errors });
+}
+
+// Recompute the sizing on the server and flag client figures that deviate from it
+function checkCalculation(fields) {
+  const result = solarCalculator.calculateSystem({
+    dailyUsage: fields.dailyUsage || fields.dailyEnergy,
+    electricBill: fields.electricBill,
+    locationCoordinates: fields.locationCoordinates,
+    tilt: fields.tilt,
+    orientation: fields.orientation,
+    systemType: fields.systemType
+  });
+  if (!result) return null;
+
+  const check = solarCalculator.compareWithClient(result, fields);
+  if (check.flagged.length > 0) {
+    logger.info('Client figures deviate from server calculation', {
+      fields: check.flagged.map(item => item.field)
+    });
+  }
+  return { result, check };
+}
+
+/**
+ * Store a validated submission and queue its notifications, or merge it into a recent lead it
+ * repeats. `images` are processed photos still to be stored (imagePipeline.processUploads);
+ * `storedFiles` attachments that are already stored (uploaded ahead through the API).
+ * Resolves with { lead, merged }.
+ */
+async function submitQuote({ calculatorMode, formData, images = [], storedFiles = [], ip, origin }) {
+  const fields = {};
+  Object.keys(LEAD_FIELDS).forEach(field => {
+    fields[LEAD_FIELDS[field]] = formData[field];
+  });
+
+  const calculation = checkCalculation(fields);
+
+  // A repeat of a recent request is merged into that lead instead of emailing sales again
+  const duplicate = abuseProtection.findDuplicate({ calculatorMode, fields });
+  if (duplicate) {
+    const addedFiles = await attachmentStore.saveImages(duplicate.id, images, {
+      startIndex: (duplicate.attachments || []).length
+    });
+    const lead = await leadStore.mergeSubmission(duplicate.id, { fields, attachments: storedFiles.concat(addedFiles) });
+    await abuseProtection.recordBlocked('duplicate', { ip, email: fields.email });
+    logger.info('Merged duplicate quote request', { leadId: duplicate.id });
+    metrics.recordSubmission(calculatorMode, 'merged');
+    return { lead, merged: true };
+  }
+
+  // Score the lead and pick the team it goes to (the rules were checked at startup)
+  const routing = leadRouting.routeLead({ calculatorMode, fields });
+
+  // Persist the lead and its files before any notification goes out so they survive a failed send
+  const leadId = leadStore.reserveLeadId();
+  const savedFiles = await attachmentStore.saveImages(leadId, images);
+
+  const lead = await leadStore.createLead({
+    id: leadId,
+    calculatorMode,
+    brand: templates.brandForOrigin(origin),
+    fields,
+    attachments: storedFiles.concat(savedFiles),
+    calculation,
+    routing
+  });
+
+  logger.info('Stored quote request', {
+    leadId: lead.id,
+    route: routing && routing.route,
+    score: routing && routing.score
+  });
+  metrics.recordSubmission(calculatorMode, 'created');
+
+  // Queue the notifications; the job worker delivers them with retries
+  await notifications.queueNewLead(lead);
+  await customerConfirmation.queueConfirmation(lead);
+
+  return { lead, merged: false };
+}
+
+module.exports = {
+  LEAD_FIELDS,
+  validateSubmission,
+  sendValidationErrors,
+  submitQuote
+};
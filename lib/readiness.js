@@ -0,0 +1,85 @@
+/**
+ * Readiness checks behind GET /health/ready: the service is ready when every SMTP channel's
+ * server accepts a connection with its credentials and the upload storage is usable.
+ * Each check gives up after health.timeoutMs in the config (default 5000). A result is reused for
+ * health.cacheSeconds (default 30), and polls arriving while the checks run wait for that run,
+ * so frequent polling doesn't log in to the mail server each time.
+ */
+const notifications = require('./notifications');
+const { getStorage } = require('./storage');
+const config = require('./config');
+
+// Run one check; resolves with { status: 'ok' | 'error', durationMs, error }
+async function runCheck(check) {
+  const startedAt = Date.now();
+  const { timeoutMs } = config.get().health;
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+
+  try {
+    await Promise.race([Promise.resolve().then(check), timeout]);
+    return { status: 'ok', durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { status: 'error', durationMs: Date.now() - startedAt, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Run every check in parallel
+async function runChecks() {
+  const checks = {};
+
+  try {
+    notifications.getChannels()
+      .filter(channel => channel.type === 'smtp')
+      .forEach(channel => {
+        checks[`smtp:${channel.name}`] = () => channel.verify();
+      });
+  } catch (error) {
+    // A broken channel configuration means nothing can be notified
+    checks.notifications = () => { throw error; };
+  }
+  checks.storage = () => getStorage().check();
+
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(name => runCheck(checks[name])));
+
+  const report = {};
+  names.forEach((name, index) => { report[name] = results[index]; });
+
+  return {
+    ready: results.every(result => result.status === 'ok'),
+    checkedAt: new Date().toISOString(),
+    checks: report
+  };
+}
+
+// The latest run per config, so each app built by createApp() checks its own channels:
+// { promise, expiresAt }, with expiresAt null while the run is in progress
+const latestRuns = new WeakMap();
+
+/**
+ * Resolves with { ready, checkedAt, checks } where `checks` maps names such as "smtp:email" and
+ * "storage" to their results. Runs the checks unless a result from the last
+ * health.cacheSeconds is at hand.
+ */
+function checkReadiness() {
+  const current = config.get();
+  const latest = latestRuns.get(current);
+  if (latest && (latest.expiresAt === null || latest.expiresAt > Date.now())) return latest.promise;
+
+  const run = { promise: runChecks(), expiresAt: null };
+  latestRuns.set(current, run);
+  run.promise.then(() => {
+    run.expiresAt = Date.now() + current.health.cacheSeconds * 1000;
+  });
+  return run.promise;
+}
+
+module.exports = {
+  checkReadiness
+};
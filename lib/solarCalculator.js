@@ -0,0 +1,243 @@
+/**
+ * Server-side solar sizing engine.
+ * Recomputes the figures the calculator frontends show (panel count, system size, battery,
+ * annual output and savings) so quotes never rely solely on numbers sent by the browser.
+ * When the site's coordinates are known, yield comes from the irradiance grid.
+ */
+const irradiance = require('./irradiance');
+const config = require('./config');
+
+// Share of the panels' rated output that reaches the load after inverter, wiring, soiling and heat losses
+const PERFORMANCE_RATIO = 0.8;
+
+// Peak sun hours used when the site's coordinates are unknown or have no irradiance data
+const DEFAULT_PEAK_SUN_HOURS = 5;
+
+// Usable share of a battery's nominal capacity
+const BATTERY_DEPTH_OF_DISCHARGE = 0.8;
+
+// Days of consumption the battery should cover, per system type
+const BATTERY_AUTONOMY_DAYS = {
+  'grid-tied': 0,
+  'hybrid': 0.5,
+  'off-grid': 1
+};
+
+// Yield relative to an equator-facing array, keyed by how far the array is turned away from the equator
+const ORIENTATION_FACTORS = {
+  equator: 1,
+  diagonal: 0.95,
+  side: 0.87,
+  poleDiagonal: 0.78,
+  pole: 0.7
+};
+
+const COMPASS_AZIMUTHS = {
+  'north': 0,
+  'north-east': 45,
+  'east': 90,
+  'south-east': 135,
+  'south': 180,
+  'south-west': 225,
+  'west': 270,
+  'north-west': 315
+};
+
+// Pull the first number out of a formatted value such as "5.2 kW" or "₦45,000"
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+
+  const match = String(value).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+// Parse "lat, lon" into numbers
+function parseCoordinates(value) {
+  if (!value) return null;
+
+  const parts = String(value).split(/[,\s]+/).filter(Boolean).map(Number);
+  if (parts.length !== 2 || parts.some(part => !isFinite(part))) return null;
+
+  const [latitude, longitude] = parts;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { latitude, longitude };
+}
+
+function normaliseSystemType(value) {
+  const type = String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (['grid-tied', 'grid-tie', 'on-grid', 'grid'].includes(type)) return 'grid-tied';
+  if (['off-grid', 'standalone', 'stand-alone'].includes(type)) return 'off-grid';
+  // Hybrid is the default: most installs keep a grid connection and some battery backup
+  return 'hybrid';
+}
+
+// Accept compass names ("south-east", "SE") or an azimuth in degrees clockwise from north
+function parseAzimuth(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const numeric = parseNumber(value);
+  if (numeric !== null && /^\s*-?\d/.test(String(value))) return ((numeric % 360) + 360) % 360;
+
+  const name = String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+  const abbreviations = { n: 'north', ne: 'north-east', e: 'east', se: 'south-east', s: 'south', sw: 'south-west', w: 'west', nw: 'north-west' };
+  const compass = abbreviations[name] || name.replace(/^(north|south)(east|west)$/, '$1-$2');
+  return compass in COMPASS_AZIMUTHS ? COMPASS_AZIMUTHS[compass] : null;
+}
+
+// Yield factor for an array facing `azimuth`, given which hemisphere the site is in
+function orientationFactor(azimuth, latitude) {
+  if (azimuth === null) return 1;
+
+  const equatorAzimuth = latitude < 0 ? 0 : 180;
+  const offset = Math.abs(((azimuth - equatorAzimuth + 540) % 360) - 180);
+
+  if (offset <= 22.5) return ORIENTATION_FACTORS.equator;
+  if (offset <= 67.5) return ORIENTATION_FACTORS.diagonal;
+  if (offset <= 112.5) return ORIENTATION_FACTORS.side;
+  if (offset <= 157.5) return ORIENTATION_FACTORS.poleDiagonal;
+  return ORIENTATION_FACTORS.pole;
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Size a system from the customer's consumption and site details.
+ * Accepts camelCase fields as stored on a lead: dailyUsage (kWh/day) or electricBill (monthly),
+ * locationCoordinates ("lat, lon"), tilt (degrees), orientation and systemType.
+ * Returns null when neither usage nor a bill is available to size against.
+ */
+function calculateSystem(input = {}) {
+  const coordinates = parseCoordinates(input.locationCoordinates);
+  const latitude = coordinates ? coordinates.latitude : 0;
+  const tilt = parseNumber(input.tilt);
+  const azimuth = parseAzimuth(input.orientation);
+  const systemType = normaliseSystemType(input.systemType);
+  const electricBill = parseNumber(input.electricBill);
+  // Rated output of a single panel in watts, and the electricity price per kWh in local currency
+  // used to convert bills to usage and output to savings
+  const { panelWattage, tariff } = config.get().calculator;
+
+  let dailyUsage = parseNumber(input.dailyUsage);
+  let usageSource = 'daily-usage';
+  if (!(dailyUsage > 0) && electricBill > 0) {
+    dailyUsage = electricBill / tariff / 30;
+    usageSource = 'electric-bill';
+  }
+  if (!(dailyUsage > 0)) return null;
+
+  // Location-aware resource from the irradiance grid, or a flat default adjusted for orientation
+  const profile = coordinates
+    ? irradiance.monthlyProfile(coordinates.latitude, coordinates.longitude, tilt, azimuth)
+    : null;
+  const peakSunHours = profile
+    ? profile.peakSunHours
+    : DEFAULT_PEAK_SUN_HOURS * orientationFactor(azimuth, latitude);
+
+  const requiredKw = dailyUsage / (peakSunHours * PERFORMANCE_RATIO);
+  const panels = Math.max(1, Math.ceil((requiredKw * 1000) / panelWattage));
+  const systemSizeKw = (panels * panelWattage) / 1000;
+
+  const monthlyProduction = profile
+    ? profile.months.map(month => ({
+      month: month.month,
+      ghi: month.ghi,
+      poa: month.poa,
+      outputKwh: Math.round(systemSizeKw * month.poa * PERFORMANCE_RATIO * month.days)
+    }))
+    : null;
+  const annualOutputKwh = monthlyProduction
+    ? monthlyProduction.reduce((sum, month) => sum + month.outputKwh, 0)
+    : systemSizeKw * peakSunHours * PERFORMANCE_RATIO * 365;
+  const batteryKwh = (dailyUsage * BATTERY_AUTONOMY_DAYS[systemType]) / BATTERY_DEPTH_OF_DISCHARGE;
+
+  // Only energy the customer would otherwise have bought counts as savings
+  const offsetKwh = Math.min(annualOutputKwh, dailyUsage * 365);
+  const monthlySavings = (offsetKwh / 12) * tariff;
+
+  return {
+    inputs: {
+      dailyUsage: round(dailyUsage, 2),
+      dailyUsageSource: usageSource,
+      electricBill,
+      latitude: coordinates ? coordinates.latitude : null,
+      longitude: coordinates ? coordinates.longitude : null,
+      tilt: profile ? profile.tilt : tilt,
+      azimuth: profile ? profile.azimuth : azimuth,
+      systemType
+    },
+    assumptions: {
+      panelWattage,
+      performanceRatio: PERFORMANCE_RATIO,
+      peakSunHours: round(peakSunHours, 2),
+      resource: profile ? profile.source : 'default',
+      tariff,
+      batteryDepthOfDischarge: BATTERY_DEPTH_OF_DISCHARGE
+    },
+    system: {
+      panels,
+      systemSizeKw: round(systemSizeKw, 2),
+      batteryKwh: round(batteryKwh, 1),
+      annualOutputKwh: Math.round(annualOutputKwh),
+      monthlySavings: Math.round(monthlySavings)
+    },
+    // Month-by-month production, only available when the site's coordinates are known
+    monthlyProduction
+  };
+}
+
+// Client form fields checked against the server result
+const CHECKED_FIELDS = [
+  { field: 'solar-panels', clientKey: 'solarPanels', serverKey: 'panels' },
+  { field: 'system-size', clientKey: 'systemSize', serverKey: 'systemSizeKw' },
+  { field: 'battery', clientKey: 'battery', serverKey: 'batteryKwh' },
+  { field: 'annual-output', clientKey: 'annualOutput', serverKey: 'annualOutputKwh' },
+  { field: 'monthly-savings', clientKey: 'monthlySavings', serverKey: 'monthlySavings' }
+];
+
+/**
+ * Compare client-calculated figures against a server result.
+ * Fields the client didn't send are skipped; the rest are flagged when they deviate
+ * from the server value by more than `tolerance` (a fraction, 0.15 = 15%; calculator.tolerance
+ * in the config by default).
+ */
+function compareWithClient(result, clientFields = {}, tolerance = config.get().calculator.tolerance) {
+  const checks = CHECKED_FIELDS
+    .map(({ field, clientKey, serverKey }) => {
+      const clientValue = parseNumber(clientFields[clientKey]);
+      if (clientValue === null) return null;
+
+      const serverValue = result.system[serverKey];
+      const deviation = serverValue === 0
+        ? (clientValue === 0 ? 0 : 1)
+        : Math.abs(clientValue - serverValue) / serverValue;
+
+      return {
+        field,
+        clientValue,
+        serverValue,
+        deviation: round(deviation, 3),
+        flagged: deviation > tolerance
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    tolerance,
+    checks,
+    flagged: checks.filter(check => check.flagged)
+  };
+}
+
+module.exports = {
+  calculateSystem,
+  compareWithClient,
+  parseCoordinates,
+  parseAzimuth,
+  orientationFactor,
+  parseNumber,
+  normaliseSystemType
+};
@@ -0,0 +1,43 @@
+/**
+ * Where uploaded files live. uploads.storage in the config (UPLOAD_STORAGE) picks the backend:
+ *
+ *   local (default)  files under uploads/ in the data directory (server.dataDir)
+ *   s3               an S3-compatible bucket, set in uploads.s3: S3_BUCKET, S3_ENDPOINT (omit for
+ *                    AWS), S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY and optionally S3_PREFIX
+ *
+ * Every backend has put(key, buffer, contentType), get(key), remove(key) and check(), which
+ * rejects when the backend can't be used (for the readiness check).
+ */
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+const { dataPath } = require('../paths');
+const config = require('../config');
+
+// One backend per config, so each app built by createApp() uses its own
+const backends = new WeakMap();
+
+// The config has already checked the type and that s3 has a bucket
+function createStorage({ uploads }) {
+  if (uploads.storage === 's3') {
+    return createS3Storage({
+      endpoint: uploads.s3.endpoint,
+      region: uploads.s3.region,
+      bucket: uploads.s3.bucket,
+      accessKeyId: uploads.s3.accessKeyId,
+      secretAccessKey: uploads.s3.secretAccessKey,
+      prefix: uploads.s3.prefix
+    });
+  }
+  return createLocalStorage({ directory: dataPath('uploads') });
+}
+
+// The configured storage backend, created on first use
+function getStorage() {
+  const current = config.get();
+  if (!backends.has(current)) backends.set(current, createStorage(current));
+  return backends.get(current);
+}
+
+module.exports = {
+  getStorage
+};
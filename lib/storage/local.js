@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File storage on the local disk. Keys are relative paths such as "SQ-20240101-ABC123/1-roof.jpg".
+ * Also the stand-in for the S3 store in development and tests: both expose the same methods.
+ *
+ * Options: directory
+ */
+function createLocalStorage({ directory }) {
+  // Keys come from our own code, but never let one escape the storage directory
+  const resolve = key => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    type: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    // Resolves with the file's contents, or null when there is no such file
+    async get(key) {
+      try {
+        return await fs.promises.readFile(resolve(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    // Rejects unless the storage directory exists (or can be created) and is writable
+    async check() {
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.access(directory, fs.constants.W_OK);
+    }
+  };
+}
+
+module.exports = createLocalStorage;
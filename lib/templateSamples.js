@@ -0,0 +1,137 @@
+/**
+ * Made-up leads for previewing email templates, so template changes can be checked without
+ * submitting fake quote requests. Nothing here is stored.
+ */
+const solarCalculator = require('./solarCalculator');
+const { quoteEmailData } = require('./quoteEmail');
+const { confirmationEmailData } = require('./customerConfirmation');
+const { draftEmailData } = require('./drafts');
+
+const SAMPLE_FIELDS = {
+  standard: {
+    solarPanels: '8 panels',
+    battery: '10 kWh',
+    systemSize: '3.2 kW',
+    dailyEnergy: '12 kWh'
+  },
+  assistive: {
+    solarPanels: '6 panels',
+    battery: '5 kWh',
+    systemSize: '2.4 kW',
+    dailyEnergy: '9 kWh'
+  },
+  advanced: {
+    systemType: 'hybrid',
+    orientation: 'south',
+    tilt: 10,
+    systemSize: '4.8 kW',
+    annualOutput: '7,100 kWh',
+    monthlySavings: '₦133,000',
+    dailyUsage: '18 kWh',
+    electricBill: '₦120,000',
+    locationCoordinates: '6.4541, 3.3947',
+    purchaseTimeline: 'Within 1-3 months'
+  }
+};
+
+// What the lead routing rules could have decided for a sample lead
+const SAMPLE_ROUTING = {
+  route: 'lagos',
+  team: 'Lagos installers',
+  score: 55,
+  scoreDetails: [
+    { rule: 'buying soon', points: 30 },
+    { rule: 'completeness (4/4)', points: 25 }
+  ],
+  region: 'lagos',
+  regionSource: 'address',
+  channel: null,
+  to: ['lagos-sales@example.com'],
+  cc: null
+};
+
+/**
+ * A lead as it would be stored for a submission in `mode`
+ */
+function sampleLead(mode = 'standard') {
+  const modeFields = SAMPLE_FIELDS[mode] || SAMPLE_FIELDS.standard;
+  const fields = {
+    name: 'Ada Okafor',
+    email: 'ada.okafor@example.com',
+    phone: '+2348012345678',
+    address: '12 Marina Road, Lagos',
+    comments: 'Roof faces south and gets sun most of the day.\nPlease call after 5pm.',
+    contactMethod: 'email',
+    ...modeFields
+  };
+
+  const result = solarCalculator.calculateSystem({
+    dailyUsage: fields.dailyUsage || fields.dailyEnergy,
+    electricBill: fields.electricBill,
+    locationCoordinates: fields.locationCoordinates,
+    tilt: fields.tilt,
+    orientation: fields.orientation,
+    systemType: fields.systemType
+  });
+  const check = result
+    ? solarCalculator.compareWithClient(result, fields)
+    : null;
+
+  return {
+    id: 'SQ-20240101-SAMPLE',
+    status: 'new',
+    calculatorMode: SAMPLE_FIELDS[mode] ? mode : 'standard',
+    fields,
+    calculation: result ? { result, check } : null,
+    routing: SAMPLE_ROUTING,
+    customerToken: 'sample-token'
+  };
+}
+
+const SAMPLE_LINKS = {
+  unsubscribe: 'https://example.com/api/customer/unsubscribe?token=sample-token',
+  dataDeletion: 'https://example.com/api/customer/data-deletion?token=sample-token'
+};
+
+const SAMPLE_RESUME_URL = 'https://example.com/advanced.html?draft=sample-token';
+
+const SAMPLE_PHOTOS = [
+  {
+    name: 'roof-south.jpg',
+    url: 'https://example.com/api/uploads/SQ-20240101-SAMPLE/1-roof-south.large.jpg',
+    fullSizeUrl: 'https://example.com/api/uploads/SQ-20240101-SAMPLE/1-roof-south.jpg',
+    cid: null
+  }
+];
+
+// Template data for each known template; other templates get the plain lead fields
+const DATA_BUILDERS = {
+  'quote-notification': lead => quoteEmailData(lead, SAMPLE_PHOTOS),
+  'customer-confirmation': lead => confirmationEmailData(lead, SAMPLE_LINKS),
+  'draft-resume': lead => draftEmailData({
+    calculatorMode: lead.calculatorMode,
+    fields: { name: lead.fields.name, locale: lead.fields.locale },
+    expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+  }, SAMPLE_RESUME_URL),
+  'privacy-verification': () => ({
+    requestedKey: 'privacy.requested.erasure',
+    verifyUrl: 'https://example.com/api/customer/privacy?token=sample-token',
+    expiresAt: 'January 2, 2024 at 9:00 AM'
+  })
+};
+
+/**
+ * Data to render template `name` with, for a sample lead in `mode`
+ */
+function sampleData(name, mode) {
+  const lead = sampleLead(mode);
+  const build = DATA_BUILDERS[name];
+  return build
+    ? build(lead)
+    : { reference: lead.id, modeKey: `mode.${lead.calculatorMode}`, fields: lead.fields };
+}
+
+module.exports = {
+  sampleLead,
+  sampleData
+};
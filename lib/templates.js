@@ -0,0 +1,215 @@
+/**
+ * File-based email templates rendered with Handlebars.
+ *
+ * Layout under templates/:
+ *   <name>.<format>.hbs                 default template (format: subject, html or txt)
+ *   <name>.<mode>.<format>.hbs          calculator-mode specific variant
+ *   partials/<partial>[.<mode>].<format>.hbs
+ *   brands/<brand>/brand.json           logo, footer and origins for a brand
+ *   brands/<brand>/logo.png             optional logo for PDF proposals (emails use brand.json's logoUrl)
+ *   brands/<brand>/...                  brand overrides of any template or partial above
+ *   locales/<locale>.json               UI strings, looked up with {{t "key"}}
+ *
+ * HTML templates escape every {{value}} automatically; subject and plain-text templates don't.
+ * Leads carry the brand of the site they came from; email.brand (EMAIL_BRAND) sets the fallback.
+ */
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const config = require('./config');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const DEFAULT_LOCALE = 'en';
+const FORMATS = ['subject', 'html', 'txt'];
+
+// Files are read on every render (they are small), so template edits show up without a restart
+const defaultBrand = () => config.get().email.brand;
+
+const readJson = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+const safeSegment = value => /^[a-z0-9-]+$/i.test(value || '');
+
+function brandNames() {
+  const brandsDir = path.join(TEMPLATES_DIR, 'brands');
+  return fs.readdirSync(brandsDir).filter(name => fs.existsSync(path.join(brandsDir, name, 'brand.json')));
+}
+
+function localeNames() {
+  return fs.readdirSync(path.join(TEMPLATES_DIR, 'locales'))
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.replace(/\.json$/, ''));
+}
+
+/**
+ * Names of the top-level templates that can be rendered
+ */
+function templateNames() {
+  const names = fs.readdirSync(TEMPLATES_DIR)
+    .filter(file => file.endsWith('.hbs'))
+    .map(file => file.split('.')[0]);
+  return Array.from(new Set(names)).sort();
+}
+
+// The brand whose configured origins include `origin`, otherwise the default brand
+function brandForOrigin(origin) {
+  if (origin) {
+    const match = brandNames().find(name => (loadBrand(name).origins || []).includes(origin));
+    if (match) return match;
+  }
+  return defaultBrand();
+}
+
+function loadBrand(brand) {
+  const name = safeSegment(brand) && fs.existsSync(path.join(TEMPLATES_DIR, 'brands', brand, 'brand.json'))
+    ? brand
+    : defaultBrand();
+  return { ...readJson(path.join(TEMPLATES_DIR, 'brands', name, 'brand.json')), name };
+}
+
+// Pick the closest available locale: exact ("fr-CA"), then language ("fr"), then English
+function resolveLocale(locale) {
+  const available = localeNames();
+  const requested = String(locale || '').trim();
+  if (available.includes(requested)) return requested;
+
+  const language = requested.split('-')[0].toLowerCase();
+  return available.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+// Strings for a locale, with English filling any gaps
+function loadStrings(locale) {
+  const fallback = readJson(path.join(TEMPLATES_DIR, 'locales', `${DEFAULT_LOCALE}.json`));
+  if (locale === DEFAULT_LOCALE) return fallback;
+  return { ...fallback, ...readJson(path.join(TEMPLATES_DIR, 'locales', `${locale}.json`)) };
+}
+
+/**
+ * Find the most specific file for a template: brand + mode, brand, mode, then the default.
+ * `base` is the template or partial path relative to the templates directory (no extension).
+ */
+function resolveFile(base, format, { brand, mode }) {
+  const candidates = [];
+  const dirs = [path.join(TEMPLATES_DIR, 'brands', brand), TEMPLATES_DIR];
+
+  dirs.forEach(dir => {
+    if (mode) candidates.push(path.join(dir, `${base}.${mode}.${format}.hbs`));
+    candidates.push(path.join(dir, `${base}.${format}.hbs`));
+  });
+
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+// Replace {placeholders} in a translated string with values from `params`
+function interpolate(text, params) {
+  return String(text).replace(/\{(\w+)\}/g, (match, key) => (params[key] !== undefined ? params[key] : match));
+}
+
+/**
+ * A Handlebars environment for one render: helpers bound to the locale, and partials
+ * resolved for the brand, calculator mode and format.
+ */
+function createEnvironment({ brand, mode, format, strings }) {
+  const env = Handlebars.create();
+
+  // {{t "key" name=value}}: translations are trusted, the values put into them are escaped in HTML
+  env.registerHelper('t', (key, options) => {
+    const text = strings[key] !== undefined ? strings[key] : key;
+    if (format !== 'html') return interpolate(text, options.hash);
+
+    const params = {};
+    Object.keys(options.hash).forEach(name => {
+      params[name] = Handlebars.escapeExpression(options.hash[name]);
+    });
+    return new Handlebars.SafeString(interpolate(text, params));
+  });
+
+  // {{or value "fallback.key"}}: the value, or the translated fallback when it's empty
+  env.registerHelper('or', (value, fallbackKey) =>
+    (value === undefined || value === null || value === '' ? (strings[fallbackKey] || fallbackKey) : value)
+  );
+
+  env.registerHelper('eq', (a, b) => a === b);
+  env.registerHelper('uppercase', value => String(value).toLocaleUpperCase());
+
+  const partialsDir = path.join(TEMPLATES_DIR, 'partials');
+  if (fs.existsSync(partialsDir)) {
+    const partialNames = new Set(fs.readdirSync(partialsDir).map(file => file.split('.')[0]));
+    partialNames.forEach(name => {
+      const file = resolveFile(`partials/${name}`, format, { brand, mode });
+      if (file) env.registerPartial(name, fs.readFileSync(file, 'utf8'));
+    });
+  }
+
+  return env;
+}
+
+/**
+ * Render one format of a template. `options`: format, mode, brand, locale and `data`
+ * (the view model). Brand and locale details are exposed to the template as `brand` and `locale`.
+ */
+function render(name, { format, mode, brand, locale, data = {} }) {
+  if (!safeSegment(name) || !FORMATS.includes(format)) {
+    throw new Error(`Unknown template ${name}.${format}`);
+  }
+
+  const brandConfig = loadBrand(brand);
+  const resolvedLocale = resolveLocale(locale);
+  const file = resolveFile(name, format, { brand: brandConfig.name, mode });
+
+  if (!file) {
+    const error = new Error(`Template '${name}' has no ${format} version`);
+    error.code = 'TEMPLATE_NOT_FOUND';
+    throw error;
+  }
+
+  const strings = loadStrings(resolvedLocale);
+  const env = createEnvironment({ brand: brandConfig.name, mode, format, strings });
+  const template = env.compile(fs.readFileSync(file, 'utf8'), { noEscape: format !== 'html' });
+
+  return template({
+    ...data,
+    brand: brandConfig,
+    locale: resolvedLocale,
+    year: new Date().getFullYear()
+  });
+}
+
+/**
+ * Translate outside a template (e.g. for PDFs): returns `t(key, params)` and the resolved locale
+ */
+function translator(locale) {
+  const resolvedLocale = resolveLocale(locale);
+  const strings = loadStrings(resolvedLocale);
+  const t = (key, params = {}) => interpolate(strings[key] !== undefined ? strings[key] : key, params);
+  return { t, locale: resolvedLocale };
+}
+
+// Path of a file shipped with a brand (e.g. logo.png), or null when the brand has none
+function brandAsset(brand, fileName) {
+  const filePath = path.join(TEMPLATES_DIR, 'brands', loadBrand(brand).name, fileName);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Render the subject, HTML and plain-text versions of an email template
+ */
+function renderEmail(name, options) {
+  return {
+    subject: render(name, { ...options, format: 'subject' }).trim(),
+    html: render(name, { ...options, format: 'html' }),
+    text: render(name, { ...options, format: 'txt' })
+  };
+}
+
+module.exports = {
+  FORMATS,
+  templateNames,
+  brandNames,
+  localeNames,
+  brandForOrigin,
+  loadBrand,
+  brandAsset,
+  translator,
+  render,
+  renderEmail
+};
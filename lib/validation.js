@@ -0,0 +1,272 @@
+/**
+ * Declarative validation for quote submissions.
+ * Each calculator mode has a schema listing the fields it accepts, how to normalise them and the
+ * cross-field rules that apply. The same schemas drive calculator-mode detection.
+ */
+const { parseNumber, parseCoordinates, parseAzimuth } = require('./solarCalculator');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d{7,15}$/;
+
+// Accepted spellings for each system type, keyed by the canonical value
+const SYSTEM_TYPES = {
+  'grid-tied': ['grid-tied', 'grid-tie', 'on-grid', 'grid'],
+  'hybrid': ['hybrid'],
+  'off-grid': ['off-grid', 'standalone', 'stand-alone']
+};
+
+/**
+ * Field types. Each takes the trimmed string value and returns { value } with the normalised
+ * value, or { code, message } describing why it is invalid.
+ */
+const TYPES = {
+  string(raw, spec) {
+    if (spec.maxLength && raw.length > spec.maxLength) {
+      return { code: 'too_long', message: `Must be at most ${spec.maxLength} characters` };
+    }
+    if (spec.pattern && !spec.pattern.test(raw)) {
+      return { code: 'invalid_format', message: spec.patternMessage || 'Has an invalid format' };
+    }
+    return { value: raw };
+  },
+
+  email(raw) {
+    if (raw.length > 254 || !EMAIL_PATTERN.test(raw)) {
+      return { code: 'invalid_format', message: 'Must be a valid email address' };
+    }
+    return { value: raw.toLowerCase() };
+  },
+
+  phone(raw) {
+    const compact = raw.replace(/[\s().-]/g, '');
+    if (!PHONE_PATTERN.test(compact)) {
+      return { code: 'invalid_format', message: 'Must be a valid phone number (7 to 15 digits, optional leading +)' };
+    }
+    return { value: compact };
+  },
+
+  enum(raw, spec) {
+    const value = raw.toLowerCase();
+    if (!spec.values.includes(value)) {
+      return { code: 'invalid_choice', message: `Must be one of: ${spec.values.join(', ')}` };
+    }
+    return { value };
+  },
+
+  // A plain number, normalised to a Number
+  number(raw, spec) {
+    const value = parseNumber(raw);
+    if (value === null) {
+      return { code: 'invalid_type', message: 'Must be a number' };
+    }
+    if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+      return { code: 'out_of_range', message: `Must be between ${spec.min} and ${spec.max}` };
+    }
+    return { value };
+  },
+
+  // A figure shown to the customer with its unit ("5.2 kW", "₦45,000"); the text is kept as sent
+  quantity(raw, spec) {
+    const result = TYPES.number(raw, spec);
+    return result.code ? result : { value: raw };
+  },
+
+  systemType(raw) {
+    const name = raw.toLowerCase().replace(/[\s_]+/g, '-');
+    const canonical = Object.keys(SYSTEM_TYPES).find(type => SYSTEM_TYPES[type].includes(name));
+    if (!canonical) {
+      return { code: 'invalid_choice', message: `Must be one of: ${Object.keys(SYSTEM_TYPES).join(', ')}` };
+    }
+    return { value: canonical };
+  },
+
+  orientation(raw) {
+    if (parseAzimuth(raw) === null) {
+      return { code: 'invalid_choice', message: 'Must be a compass direction (e.g. south, south-east) or an azimuth in degrees' };
+    }
+    return { value: raw.toLowerCase() };
+  },
+
+  coordinates(raw) {
+    const coordinates = parseCoordinates(raw);
+    if (!coordinates) {
+      return { code: 'invalid_format', message: 'Must be "latitude, longitude" within valid ranges' };
+    }
+    return { value: `${coordinates.latitude}, ${coordinates.longitude}` };
+  }
+};
+
+// Definitions for every field any calculator can send
+const FIELDS = {
+  'name': { type: 'string', maxLength: 200 },
+  'email': { type: 'email' },
+  'phone': { type: 'phone' },
+  'address': { type: 'string', maxLength: 500 },
+  'comments': { type: 'string', maxLength: 5000 },
+  'contact-method': { type: 'enum', values: ['email', 'phone', 'sms'] },
+  'calculator-mode': { type: 'enum', values: ['standard', 'assistive', 'advanced', 'unknown'] },
+  // Language of the form, e.g. "fr" or "en-GB"; picks the language of the customer's emails
+  'locale': { type: 'string', pattern: /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i, patternMessage: 'Must be a language tag such as "en" or "fr-CA"' },
+  'solar-panels': { type: 'quantity', min: 0, max: 10000 },
+  'battery': { type: 'quantity', min: 0, max: 100000 },
+  'system-size': { type: 'quantity', min: 0, max: 10000 },
+  'daily-energy': { type: 'quantity', min: 0, max: 100000 },
+  'system-type': { type: 'systemType' },
+  'orientation': { type: 'orientation' },
+  'tilt': { type: 'number', min: 0, max: 90 },
+  'annual-output': { type: 'quantity', min: 0, max: 100000000 },
+  'monthly-savings': { type: 'quantity', min: 0, max: 1000000000 },
+  'daily-usage': { type: 'quantity', min: 0, max: 100000 },
+  'electric-bill': { type: 'quantity', min: 0, max: 1000000000 },
+  'location-coordinates': { type: 'coordinates' },
+  'purchase-timeline': { type: 'string', maxLength: 100 }
+};
+
+const pick = names => names.reduce((fields, name) => ({ ...fields, [name]: FIELDS[name] }), {});
+
+const CUSTOMER_FIELDS = ['name', 'email', 'phone', 'address', 'comments', 'contact-method', 'calculator-mode', 'locale'];
+
+// A customer must be reachable through the contact method they chose
+function contactRule(data) {
+  if (data['contact-method'] === 'email' && !data.email) {
+    return [{ field: 'email', code: 'required', message: 'Email is required when email contact method is selected' }];
+  }
+  if ((data['contact-method'] === 'phone' || data['contact-method'] === 'sms') && !data.phone) {
+    return [{ field: 'phone', code: 'required', message: 'Phone number is required when phone or SMS contact method is selected' }];
+  }
+  if (!data['contact-method'] && !data.email && !data.phone) {
+    return [{ field: 'email', code: 'required', message: 'At least one contact method (email or phone) is required' }];
+  }
+  return [];
+}
+
+/**
+ * Schemas per calculator mode, in detection order: a submission without an explicit
+ * calculator-mode belongs to the first mode whose `detect` fields are all present.
+ */
+const MODE_SCHEMAS = {
+  advanced: {
+    detect: ['system-type', 'orientation', 'tilt'],
+    fields: pick([
+      ...CUSTOMER_FIELDS, 'system-type', 'orientation', 'tilt', 'system-size', 'annual-output',
+      'monthly-savings', 'daily-usage', 'electric-bill', 'location-coordinates', 'purchase-timeline',
+      'solar-panels', 'battery', 'daily-energy'
+    ]),
+    required: ['name'],
+    rules: [contactRule]
+  },
+  standard: {
+    detect: ['solar-panels', 'battery'],
+    fields: pick([...CUSTOMER_FIELDS, 'solar-panels', 'battery', 'system-size', 'daily-energy', 'daily-usage', 'electric-bill']),
+    required: ['name'],
+    rules: [contactRule]
+  },
+  assistive: {
+    detect: [],
+    fields: pick([...CUSTOMER_FIELDS, 'solar-panels', 'battery', 'system-size', 'daily-energy', 'daily-usage', 'electric-bill']),
+    required: ['name'],
+    rules: [contactRule]
+  }
+};
+
+// Inputs accepted by the standalone sizing endpoint
+const CALCULATION_SCHEMA = {
+  fields: pick(['daily-usage', 'daily-energy', 'electric-bill', 'location-coordinates', 'tilt', 'orientation', 'system-type']),
+  required: [],
+  rules: [data => (data['daily-usage'] || data['daily-energy'] || data['electric-bill'])
+    ? []
+    : [{ field: 'daily-usage', code: 'required', message: 'Either daily-usage or electric-bill is required' }]]
+};
+
+// Saved calculator state: any calculator's fields, none required, so a half-filled form can be kept
+const DRAFT_SCHEMA = {
+  fields: FIELDS,
+  required: [],
+  rules: []
+};
+
+// A customer asking for a copy (access) or the erasure of the data held for their email address
+const PRIVACY_REQUEST_SCHEMA = {
+  fields: {
+    ...pick(['email', 'locale']),
+    'type': { type: 'enum', values: ['access', 'erasure'] }
+  },
+  required: ['email', 'type'],
+  rules: []
+};
+
+const isPresent = value => value !== undefined && value !== null && String(value).trim() !== '';
+
+/**
+ * Work out which calculator a submission came from: the declared calculator-mode when it names
+ * a known mode, otherwise the first mode schema whose detection fields are all filled in
+ */
+function detectMode(body = {}) {
+  const declared = String(body['calculator-mode'] || '').trim().toLowerCase();
+  if (MODE_SCHEMAS[declared]) return declared;
+
+  return Object.keys(MODE_SCHEMAS).find(mode =>
+    MODE_SCHEMAS[mode].detect.every(field => isPresent(body[field]))
+  );
+}
+
+/**
+ * Validate and normalise `body` against a schema.
+ * Returns { value, errors }: `value` holds only the schema's fields, normalised, and `errors`
+ * a list of { field, code, message }. Unknown fields are stripped, or reported as errors
+ * when `options.rejectUnknown` is set.
+ */
+function validate(schema, body = {}, options = {}) {
+  const errors = [];
+  const value = {};
+
+  Object.keys(body).forEach(field => {
+    if (!schema.fields[field] && options.rejectUnknown) {
+      errors.push({ field, code: 'unknown_field', message: 'Unknown field' });
+    }
+  });
+
+  Object.keys(schema.fields).forEach(field => {
+    const raw = body[field];
+
+    if (!isPresent(raw)) {
+      if (schema.required.includes(field)) {
+        errors.push({ field, code: 'required', message: 'This field is required' });
+      }
+      return;
+    }
+
+    if (typeof raw !== 'string' && typeof raw !== 'number') {
+      errors.push({ field, code: 'invalid_type', message: 'Must be a single value' });
+      return;
+    }
+
+    const spec = schema.fields[field];
+    const result = TYPES[spec.type](String(raw).trim(), spec);
+    if (result.code) {
+      errors.push({ field, code: result.code, message: result.message });
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  // Cross-field rules don't repeat errors for fields that are already invalid
+  schema.rules.forEach(rule => {
+    rule(value).forEach(error => {
+      if (!errors.some(existing => existing.field === error.field)) errors.push(error);
+    });
+  });
+
+  return { value, errors };
+}
+
+module.exports = {
+  SYSTEM_TYPES,
+  FIELDS,
+  MODE_SCHEMAS,
+  CALCULATION_SCHEMA,
+  DRAFT_SCHEMA,
+  PRIVACY_REQUEST_SCHEMA,
+  detectMode,
+  validate
+};
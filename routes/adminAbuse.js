@@ -0,0 +1,24 @@
+const express = require('express');
+const abuseProtection = require('../lib/abuseProtection');
+const { requireAdmin } = require('../lib/adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Blocked requests and merged quote submissions: totals, daily counts for the last `days` days,
+// latest attempts with their route group
+router.get('/', (req, res) => {
+  const days = req.query.days === undefined ? 30 : Number(req.query.days);
+
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    return res.status(400).json({
+      success: false,
+      message: 'days must be a whole number between 1 and 365'
+    });
+  }
+
+  res.json({ success: true, data: abuseProtection.getStats({ days }) });
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const jobQueue = require('../lib/jobQueue');
+const { requireAdmin } = require('../lib/adminAuth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// List queued jobs; `status=dead` shows the dead-letter list
+router.get('/', (req, res) => {
+  const { status, type } = req.query;
+
+  if (status && !jobQueue.STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${jobQueue.STATUSES.join(', ')}`
+    });
+  }
+
+  const jobs = jobQueue.listJobs({ status, type });
+  res.json({ success: true, data: jobs, total: jobs.length });
+});
+
+router.get('/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  res.json({ success: true, data: job });
+});
+
+// Send a dead-lettered job back through the queue
+router.post('/:id/replay', async (req, res, next) => {
+  try {
+    const job = await jobQueue.replay(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({ success: true, data: job });
+  } catch (error) {
+    if (error.code === 'JOB_ACTIVE') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const privacy = require('../lib/privacy');
+const auditLog = require('../lib/auditLog');
+const { requireAdmin } = require('../lib/adminAuth');
+
+const router = express.Router();
+
+const MAX_LIMIT = 1000;
+
+router.use(requireAdmin);
+
+// The listings take limit (default 100)
+router.use((req, res, next) => {
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return res.status(400).json({
+      success: false,
+      message: `limit must be a whole number between 1 and ${MAX_LIMIT}`
+    });
+  }
+
+  req.limit = limit;
+  next();
+});
+
+// Access and erasure requests, newest first, without the customers' addresses
+router.get('/requests', (req, res) => {
+  res.json({ success: true, data: privacy.listRequests({ limit: req.limit }) });
+});
+
+// Audit log entries, newest first; filter by action or by a customer's email address
+router.get('/audit', (req, res) => {
+  res.json({
+    success: true,
+    data: auditLog.list({ action: req.query.action, email: req.query.email, limit: req.limit })
+  });
+});
+
+// Run the retention purge now instead of waiting for the daily run
+router.post('/retention/run', async (req, res, next) => {
+  try {
+    const outcome = await privacy.purgeStaleLeads({ by: req.admin.name });
+
+    if (!outcome) {
+      return res.status(409).json({
+        success: false,
+        message: 'Retention is off: set privacy.retentionDays (LEAD_RETENTION_DAYS) to enable it'
+      });
+    }
+
+    res.json({ success: true, data: outcome });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const templates = require('../lib/templates');
+const { sampleData } = require('../lib/templateSamples');
+const { MODE_SCHEMAS } = require('../lib/validation');
+const { requireAdmin } = require('../lib/adminAuth');
+const { sendError } = require('../lib/apiResponses');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const CONTENT_TYPES = {
+  html: 'text/html; charset=utf-8',
+  txt: 'text/plain; charset=utf-8',
+  subject: 'text/plain; charset=utf-8'
+};
+
+// What can be previewed: template names, brands, locales and calculator modes
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      templates: templates.templateNames(),
+      brands: templates.brandNames(),
+      locales: templates.localeNames(),
+      modes: Object.keys(MODE_SCHEMAS),
+      formats: templates.FORMATS
+    }
+  });
+});
+
+// Render one template with sample data, e.g. /quote-notification/preview?mode=advanced&locale=fr
+router.get('/:name/preview', (req, res, next) => {
+  const { mode = 'standard', brand, locale, format = 'html' } = req.query;
+
+  if (!templates.FORMATS.includes(format)) {
+    return sendError(res, 400, { code: 'invalid_format', message: `format must be one of: ${templates.FORMATS.join(', ')}` });
+  }
+
+  if (!MODE_SCHEMAS[mode]) {
+    return sendError(res, 400, { code: 'invalid_mode', message: `mode must be one of: ${Object.keys(MODE_SCHEMAS).join(', ')}` });
+  }
+
+  if (brand && !templates.brandNames().includes(brand)) {
+    return sendError(res, 400, { code: 'invalid_brand', message: `brand must be one of: ${templates.brandNames().join(', ')}` });
+  }
+
+  if (!templates.templateNames().includes(req.params.name)) {
+    return sendError(res, 404, { code: 'template_not_found', message: 'Template not found' });
+  }
+
+  try {
+    const output = templates.render(req.params.name, {
+      format,
+      mode,
+      brand,
+      locale,
+      data: sampleData(req.params.name, mode)
+    });
+
+    res.type(CONTENT_TYPES[format]).send(output);
+  } catch (error) {
+    if (error.code === 'TEMPLATE_NOT_FOUND') {
+      return sendError(res, 404, { code: 'template_not_found', message: error.message });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
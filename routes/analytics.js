@@ -0,0 +1,149 @@
+const express = require('express');
+const analytics = require('../lib/analytics');
+const { toCsv } = require('../lib/csv');
+const { requireAdmin } = require('../lib/adminAuth');
+const { parseDateParam } = require('../lib/queryParams');
+const { FIELDS } = require('../lib/validation');
+
+const router = express.Router();
+
+const CALCULATOR_MODES = FIELDS['calculator-mode'].values;
+
+router.use(requireAdmin);
+
+// Every report takes from, to and calculator-mode filters and format=json (default) or csv
+router.use((req, res, next) => {
+  const from = parseDateParam(req.query.from, false);
+  const to = parseDateParam(req.query.to, true);
+  const calculatorMode = req.query['calculator-mode'];
+  const format = req.query.format || 'json';
+
+  if (from === null || to === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be valid dates'
+    });
+  }
+
+  if (calculatorMode && !CALCULATOR_MODES.includes(calculatorMode)) {
+    return res.status(400).json({
+      success: false,
+      message: `calculator-mode must be one of: ${CALCULATOR_MODES.join(', ')}`
+    });
+  }
+
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'format must be json or csv'
+    });
+  }
+
+  req.reportFilter = { from, to, calculatorMode };
+  req.reportFormat = format;
+  next();
+});
+
+// Send a report as JSON, or as a CSV download of `rows`
+function sendReport(req, res, name, data, rows, columns) {
+  if (req.reportFormat === 'csv') {
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="analytics-${name}-${date}.csv"`);
+    return res.type('text/csv').send(toCsv(rows, columns));
+  }
+
+  res.json({ success: true, data });
+}
+
+// Everything at once, for a dashboard (JSON only)
+router.get('/', (req, res) => {
+  const { total, dimensions } = analytics.breakdowns(req.reportFilter);
+
+  res.json({
+    success: true,
+    data: {
+      total,
+      breakdowns: dimensions,
+      distributions: analytics.distributions(req.reportFilter).distributions,
+      conversion: analytics.conversion(req.reportFilter)
+    }
+  });
+});
+
+// Leads per day, week or month, with a column per calculator mode
+router.get('/submissions', (req, res) => {
+  const interval = req.query.interval || 'day';
+
+  if (!analytics.INTERVALS.includes(interval)) {
+    return res.status(400).json({
+      success: false,
+      message: `interval must be one of: ${analytics.INTERVALS.join(', ')}`
+    });
+  }
+
+  let report;
+  try {
+    report = analytics.countsOverTime({ ...req.reportFilter, interval });
+  } catch (error) {
+    if (error.code !== 'TOO_MANY_PERIODS') throw error;
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const modes = Array.from(new Set(report.periods.flatMap(period => Object.keys(period.byCalculatorMode)))).sort();
+  const rows = report.periods.map(period => {
+    const row = { period: period.period, total: period.count };
+    modes.forEach(mode => { row[mode] = period.byCalculatorMode[mode] || 0; });
+    return row;
+  });
+
+  sendReport(req, res, 'submissions', report, rows, ['period', 'total', ...modes]);
+});
+
+// Counts per calculator mode, purchase timeline, contact method and system type
+router.get('/breakdowns', (req, res) => {
+  const report = analytics.breakdowns(req.reportFilter);
+  const rows = analytics.DIMENSIONS.flatMap(dimension =>
+    report.dimensions[dimension].map(entry => ({ dimension, ...entry }))
+  );
+
+  sendReport(req, res, 'breakdowns', report, rows, ['dimension', 'value', 'count', 'share']);
+});
+
+// System size, battery and electric bill: summary statistics and bucket counts
+router.get('/distributions', (req, res) => {
+  const report = analytics.distributions(req.reportFilter);
+  const rows = Object.keys(report.distributions).flatMap(field =>
+    report.distributions[field].buckets.map(bucket => ({ field, unit: report.distributions[field].unit, ...bucket }))
+  );
+
+  sendReport(req, res, 'distributions', report, rows, ['field', 'unit', 'from', 'to', 'count']);
+});
+
+// Share of leads reaching contacted, quoted and won, overall and per calculator mode
+router.get('/conversion', (req, res) => {
+  const report = analytics.conversion(req.reportFilter);
+  const toRow = (calculatorMode, funnel) => ({
+    'calculator-mode': calculatorMode,
+    total: funnel.total,
+    open: funnel.open,
+    lost: funnel.lost,
+    contacted: funnel.stages.contacted.count,
+    quoted: funnel.stages.quoted.count,
+    won: funnel.stages.won.count,
+    'contacted-rate': funnel.stages.contacted.rate,
+    'quoted-rate': funnel.stages.quoted.rate,
+    'won-rate': funnel.stages.won.rate,
+    'win-rate': funnel.winRate
+  });
+  const rows = [
+    toRow('all', report),
+    ...Object.keys(report.byCalculatorMode).map(mode => toRow(mode, report.byCalculatorMode[mode]))
+  ];
+
+  sendReport(req, res, 'conversion', report, rows, Object.keys(toRow('all', report)));
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const leadStore = require('../lib/leadStore');
+const privacy = require('../lib/privacy');
+const logger = require('../lib/logger');
+
+const router = express.Router();
+
+// Minimal standalone page for links customers open from their email, optionally with a form after the message
+function page(title, message, form = '') {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+</head>
+<body style="margin: 0; padding: 40px 20px; font-family: Arial, Helvetica, sans-serif; line-height: 1.5; color: #2c3e50; background-color: #f8f9fa;">
+  <div style="max-width: 500px; margin: 0 auto; background-color: #ffffff; border-radius: 8px; padding: 24px; box-shadow: 0 5px 15px rgba(0, 0, 0, 0.1);">
+    <h1 style="margin-top: 0; color: #1a3755; font-size: 22px;">${title}</h1>
+    <p style="margin-bottom: 0;">${message}</p>${form}
+  </div>
+</body>
+</html>`;
+}
+
+// A one-button form that POSTs the link's token back to `action` (relative to /api/customer/)
+function confirmForm(action, token, label) {
+  return `
+    <form method="post" action="${action}" style="margin: 20px 0 0;">
+      <input type="hidden" name="token" value="${token}">
+      <button type="submit" style="padding: 10px 20px; border: 0; border-radius: 6px; background-color: #1a3755; color: #ffffff; font-size: 15px; cursor: pointer;">${label}</button>
+    </form>`;
+}
+
+// Find the lead for the token in the link, or answer with a 404 page
+function leadFromToken(req, res) {
+  const lead = leadStore.findByCustomerToken(req.query.token);
+  if (!lead) {
+    res.status(404).send(page('Link not recognised', 'This link is invalid or has expired.'));
+  }
+  return lead;
+}
+
+async function unsubscribe(req, res, next) {
+  try {
+    const lead = leadFromToken(req, res);
+    if (!lead) return;
+
+    await leadStore.patchLead(lead.id, { unsubscribed: true, unsubscribedAt: new Date().toISOString() });
+    logger.info('Lead unsubscribed from customer emails', { leadId: lead.id });
+
+    res.send(page('You have been unsubscribed', 'You will not receive any further automated emails about this quote request.'));
+  } catch (error) {
+    next(error);
+  }
+}
+
+// GET for the link in the email, POST for one-click unsubscribe from mail clients (RFC 8058)
+router.get('/unsubscribe', unsubscribe);
+router.post('/unsubscribe', unsubscribe);
+
+// Confirmation page behind the deletion link in the confirmation email. Like the privacy link,
+// opening it changes nothing; the form's POST erases the data
+router.get('/data-deletion', (req, res) => {
+  const lead = leadFromToken(req, res);
+  if (!lead) return;
+
+  res.send(page(
+    'Delete your personal data',
+    `This erases the personal data we hold for your email address, including quote request ${lead.id} and any photos you sent with it. It can't be undone.`,
+    confirmForm('data-deletion', lead.customerToken, 'Delete my data')
+  ));
+});
+
+router.post('/data-deletion', express.urlencoded({ extended: false }), async (req, res, next) => {
+  try {
+    const lead = leadStore.findByCustomerToken(req.body.token);
+    if (!lead) {
+      return res.status(404).send(page('Link not recognised', 'This link is invalid or has expired.'));
+    }
+
+    const outcome = await privacy.eraseForLead(lead);
+    logger.info('Customer data erased from the confirmation email link', { leadId: lead.id, leads: outcome.leadIds.length });
+
+    res.send(page('Your data has been deleted', 'We have deleted the personal data we held for your email address.'));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The verification link of a privacy request. Opening it only shows what will happen: the request
+// is carried out by the form's POST, so mail scanners that open links can't use it up
+router.get('/privacy', (req, res) => {
+  const request = privacy.findPendingByToken(req.query.token);
+  if (!request) {
+    return res.status(404).send(page('Link not recognised', 'This link is invalid, has expired or has already been used.'));
+  }
+
+  const erasure = request.type === 'erasure';
+  const form = confirmForm('privacy', request.token, erasure ? 'Erase my data' : 'Download my data');
+
+  res.send(page(
+    erasure ? 'Erase your personal data' : 'Download your personal data',
+    erasure
+      ? 'This erases the personal data we hold for your email address, including any photos you sent with your quote requests. It can\'t be undone.'
+      : 'Download a copy of the personal data we hold for your email address, as a JSON file. The link can only be used once.',
+    form
+  ));
+});
+
+router.post('/privacy', express.urlencoded({ extended: false }), async (req, res, next) => {
+  try {
+    const request = privacy.findPendingByToken(req.body.token);
+    if (!request) {
+      return res.status(404).send(page('Link not recognised', 'This link is invalid, has expired or has already been used.'));
+    }
+
+    if (request.type === 'erasure') {
+      await privacy.eraseData(request);
+      return res.send(page('Your data has been erased', 'We have erased the personal data we held for your email address.'));
+    }
+
+    const data = await privacy.exportData(request);
+    res.set('Content-Disposition', `attachment; filename="personal-data-${data.generatedAt.slice(0, 10)}.json"`);
+    res.type('application/json').send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const express = require('express');
+const leadStore = require('../lib/leadStore');
+const { renderProposal, proposalFileName } = require('../lib/proposalPdf');
+const { requireAdmin } = require('../lib/adminAuth');
+const { parseDateParam } = require('../lib/queryParams');
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+// Every route in here is for the sales team only
+router.use(requireAdmin);
+
+// List leads with paging, free-text search and filters
+router.get('/', (req, res) => {
+  const page = parseInt(req.query.page || '1', 10);
+  const limit = parseInt(req.query.limit || '20', 10);
+  const from = parseDateParam(req.query.from, false);
+  const to = parseDateParam(req.query.to, true);
+
+  if (!(page >= 1) || !(limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+    return res.status(400).json({
+      success: false,
+      message: `page must be 1 or more and limit between 1 and ${MAX_PAGE_SIZE}`
+    });
+  }
+
+  if (from === null || to === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'from and to must be valid dates'
+    });
+  }
+
+  if (req.query.status && !leadStore.STATUSES.includes(req.query.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${leadStore.STATUSES.join(', ')}`
+    });
+  }
+
+  const { items, total } = leadStore.queryLeads({
+    q: req.query.q,
+    calculatorMode: req.query['calculator-mode'],
+    purchaseTimeline: req.query['purchase-timeline'],
+    contactMethod: req.query['contact-method'],
+    status: req.query.status,
+    from,
+    to,
+    page,
+    limit
+  });
+
+  res.json({
+    success: true,
+    data: items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// View a single lead
+router.get('/:id', (req, res) => {
+  const lead = leadStore.getLead(req.params.id);
+
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quote request not found'
+    });
+  }
+
+  res.json({ success: true, data: lead });
+});
+
+// Download the PDF proposal for a lead, rendered from its current data; `locale` overrides the customer's
+router.get('/:id/proposal.pdf', async (req, res, next) => {
+  const lead = leadStore.getLead(req.params.id);
+
+  if (!lead) {
+    return res.status(404).json({
+      success: false,
+      message: 'Quote request not found'
+    });
+  }
+
+  try {
+    const pdf = await renderProposal(lead, { locale: req.query.locale || lead.fields.locale });
+    res.set('Content-Disposition', `inline; filename="${proposalFileName(lead)}"`);
+    res.type('application/pdf').send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change status, assign an owner and/or add an internal note
+router.patch('/:id', async (req, res, next) => {
+  const { status, owner, note } = req.body || {};
+
+  if (status !== undefined && !leadStore.STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${leadStore.STATUSES.join(', ')}`
+    });
+  }
+
+  if (owner !== undefined && owner !== null && typeof owner !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'owner must be a string or null'
+    });
+  }
+
+  if (note !== undefined && (typeof note !== 'string' || !note.trim())) {
+    return res.status(400).json({
+      success: false,
+      message: 'note must be a non-empty string'
+    });
+  }
+
+  try {
+    const lead = await leadStore.updateLead(
+      req.params.id,
+      { status, owner: typeof owner === 'string' ? owner.trim() : owner, note: note && note.trim() },
+      req.admin.name
+    );
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quote request not found'
+      });
+    }
+
+    res.json({ success: true, data: lead });
+  } catch (error) {
+    if (error.code === 'INVALID_STATUS_TRANSITION') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
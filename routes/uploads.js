@@ -0,0 +1,35 @@
+const express = require('express');
+const attachmentStore = require('../lib/attachmentStore');
+
+const router = express.Router();
+
+// Serve a stored photo to anyone holding a signed, unexpired link (from the notification email)
+router.get('/:leadId/:fileName', async (req, res, next) => {
+  const key = `${req.params.leadId}/${req.params.fileName}`;
+  const { expires, signature } = req.query;
+
+  if (!attachmentStore.verifySignedUrl(key, expires, signature)) {
+    return res.status(403).json({
+      success: false,
+      message: 'This link is invalid or has expired'
+    });
+  }
+
+  try {
+    const file = await attachmentStore.readFile(key);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type(file.contentType).send(file.buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
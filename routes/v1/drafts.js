@@ -0,0 +1,138 @@
+const express = require('express');
+const abuseProtection = require('../../lib/abuseProtection');
+const drafts = require('../../lib/drafts');
+const quoteSubmission = require('../../lib/quoteSubmission');
+const logger = require('../../lib/logger');
+const { sendError, camelCase } = require('../../lib/apiResponses');
+const { readJsonFields, submitQuoteRequest } = require('./quoteRequests');
+
+const router = express.Router();
+const draftLimits = abuseProtection.rateLimits('drafts');
+
+// What the API shows of a draft: its fields under their camelCase names and where to resume it
+function draftView(draft) {
+  const fields = {};
+  Object.keys(draft.fields).forEach(field => {
+    fields[camelCase(field)] = draft.fields[field];
+  });
+
+  return {
+    token: draft.token,
+    calculatorMode: draft.calculatorMode,
+    fields,
+    resumeUrl: drafts.resumeUrl(draft),
+    resumeEmailStatus: draft.resumeEmail ? draft.resumeEmail.status : null,
+    createdAt: draft.createdAt,
+    updatedAt: draft.updatedAt,
+    expiresAt: draft.expiresAt
+  };
+}
+
+// Find the draft for the token in the path, or answer 404 (unknown or expired) or 409 (already submitted)
+function loadDraft(req, res, next) {
+  const draft = drafts.findByToken(req.params.token);
+  if (!draft) {
+    return sendError(res, 404, { code: 'draft_not_found', message: 'This draft does not exist or has expired' });
+  }
+  if (draft.leadId) {
+    return sendError(res, 409, { code: 'draft_submitted', message: 'This draft has already been submitted' });
+  }
+
+  req.draft = draft;
+  next();
+}
+
+/**
+ * Validate the draft fields in req.body and, with sendLink: true, that the link can be emailed.
+ * Returns the validated draft, or null after sending the error response.
+ */
+function validateDraftRequest(req, res, origin) {
+  const { calculatorMode, fields, errors } = drafts.validateDraft(req.body);
+  const { sendLink = false } = req.extras;
+
+  if (typeof sendLink !== 'boolean') {
+    errors.push({ field: 'sendLink', code: 'invalid_type', message: 'Must be true or false' });
+  } else if (sendLink && !fields.email && !errors.some(error => error.field === 'email')) {
+    errors.push({ field: 'email', code: 'required', message: 'An email address is needed to send the link' });
+  }
+  if (errors.length > 0) {
+    quoteSubmission.sendValidationErrors(res, errors);
+    return null;
+  }
+
+  if (sendLink && !drafts.resumePage(origin)) {
+    sendError(res, 422, { code: 'resume_link_unavailable', message: 'There is no page to resume this draft on, so no link can be sent' });
+    return null;
+  }
+  if (sendLink && draftLimits.limitByEmail(req, res, fields.email)) return null;
+
+  return { calculatorMode, fields, sendLink };
+}
+
+// Save calculator state as a new draft; answers with its resume token and link
+router.post('/', draftLimits.limitByIp, readJsonFields('sendLink'), async (req, res, next) => {
+  try {
+    const origin = req.get('Origin');
+    const input = validateDraftRequest(req, res, origin);
+    if (!input) return;
+
+    const draft = await drafts.createDraft({ calculatorMode: input.calculatorMode, fields: input.fields, origin });
+    if (input.sendLink) await drafts.queueResumeLink(draft);
+    logger.info('Saved draft', { draftId: draft.id, calculatorMode: draft.calculatorMode, sendLink: input.sendLink });
+
+    res.status(201).json({ success: true, data: draftView(draft) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reopen a draft
+router.get('/:token', loadDraft, (req, res) => {
+  res.json({ success: true, data: draftView(req.draft) });
+});
+
+// Save the calculator state again, replacing the draft's fields and restarting its expiry
+router.put('/:token', draftLimits.limitByIp, loadDraft, readJsonFields('sendLink'), async (req, res, next) => {
+  try {
+    const input = validateDraftRequest(req, res, req.draft.origin);
+    if (!input) return;
+
+    const draft = await drafts.saveDraft(req.draft.id, { calculatorMode: input.calculatorMode, fields: input.fields });
+    if (input.sendLink) await drafts.queueResumeLink(draft);
+    logger.info('Updated draft', { draftId: draft.id, calculatorMode: draft.calculatorMode, sendLink: input.sendLink });
+
+    res.json({ success: true, data: draftView(draft) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:token', loadDraft, async (req, res, next) => {
+  try {
+    await drafts.deleteDraft(req.draft.id);
+    logger.info('Deleted draft', { draftId: req.draft.id });
+    res.json({ success: true, data: { token: req.params.token } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Turn a draft into a quote request. The body can complete or override the saved fields and
+// list photoIds, exactly as for POST /quotes
+router.post(
+  '/:token/submit',
+  abuseProtection.rateLimits('quotes').limitByIp,
+  loadDraft,
+  readJsonFields('photoIds'),
+  (req, res, next) => {
+    req.body = { ...req.draft.fields, ...req.body };
+    next();
+  },
+  abuseProtection.checkForm,
+  submitQuoteRequest(async (req, lead) => {
+    await drafts.markSubmitted(req.draft.id, lead.id);
+    logger.info('Submitted draft', { draftId: req.draft.id, leadId: lead.id });
+  })
+);
+
+module.exports = router;
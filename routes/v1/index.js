@@ -0,0 +1,47 @@
+/**
+ * Version 1 of the public API, for partner sites and the mobile app.
+ *
+ * Requests are JSON with camelCase field names. Every response is { success: true, data } or
+ * { success: false, error: { code, message, details?, requestId } } (see lib/apiResponses.js).
+ * The OpenAPI document describing it is served at /api/v1/openapi.json.
+ */
+const express = require('express');
+const abuseProtection = require('../../lib/abuseProtection');
+const openapi = require('../../lib/openapi');
+const logger = require('../../lib/logger');
+const { sendError } = require('../../lib/apiResponses');
+const quotesRouter = require('./quotes');
+const draftsRouter = require('./drafts');
+const privacyRequestsRouter = require('./privacyRequests');
+const uploadsRouter = require('./uploads');
+
+const router = express.Router();
+
+router.get('/openapi.json', (req, res) => {
+  res.json(openapi.buildDocument());
+});
+
+// A signed token to send back as formToken, proving the form was open for a few seconds
+router.get('/form-token', (req, res) => {
+  res.json({ success: true, data: abuseProtection.issueFormToken() });
+});
+
+router.use('/quotes', quotesRouter);
+router.use('/drafts', draftsRouter);
+router.use('/privacy-requests', privacyRequestsRouter);
+router.use('/uploads', uploadsRouter);
+
+router.use((req, res) => {
+  sendError(res, 404, { code: 'not_found', message: `No such endpoint: ${req.method} ${req.baseUrl}${req.path}` });
+});
+
+// Unexpected errors are logged with their details; the client only gets the request ID.
+// Client errors (status and message meant for the caller) go on to the app's error handler
+router.use((err, req, res, next) => {
+  if (err.expose) return next(err);
+
+  logger.error('Unhandled API error', { error: err, method: req.method, path: req.originalUrl });
+  sendError(res, 500, { code: 'internal_error', message: 'Something went wrong. Please try again later.' });
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const abuseProtection = require('../../lib/abuseProtection');
+const privacy = require('../../lib/privacy');
+const validation = require('../../lib/validation');
+const quoteSubmission = require('../../lib/quoteSubmission');
+const config = require('../../lib/config');
+const { readJsonFields } = require('./quoteRequests');
+
+const router = express.Router();
+const privacyLimits = abuseProtection.rateLimits('privacy');
+
+// Ask for a copy (type: access) or the erasure (type: erasure) of the data held for an email
+// address. The answer is the same whether or not we hold any: the emailed link tells the owner
+router.post('/', privacyLimits.limitByIp, readJsonFields(), async (req, res, next) => {
+  try {
+    const { value, errors } = validation.validate(validation.PRIVACY_REQUEST_SCHEMA, req.body, {
+      rejectUnknown: config.get().submissions.rejectUnknownFields
+    });
+    if (errors.length > 0) {
+      return quoteSubmission.sendValidationErrors(res, errors);
+    }
+
+    if (privacyLimits.limitByEmail(req, res, value.email)) return;
+
+    const request = await privacy.createRequest({
+      type: value.type,
+      email: value.email,
+      locale: value.locale,
+      origin: req.get('Origin')
+    });
+
+    res.status(202).json({
+      success: true,
+      data: { type: request.type, status: 'pending_verification', expiresAt: request.expiresAt }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
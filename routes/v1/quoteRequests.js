@@ -0,0 +1,107 @@
+/**
+ * Request handling shared by the JSON routes: reading camelCase bodies, and submitting a quote
+ * request for POST /quotes and POST /drafts/:token/submit
+ */
+const abuseProtection = require('../../lib/abuseProtection');
+const quoteSubmission = require('../../lib/quoteSubmission');
+const pendingUploads = require('../../lib/pendingUploads');
+const config = require('../../lib/config');
+const { sendError, sendSubmitted, kebabCase } = require('../../lib/apiResponses');
+
+const quoteLimits = abuseProtection.rateLimits('quotes');
+
+/**
+ * Middleware: accept only a JSON object and turn its camelCase fields into the form's names
+ * (req.body) for the shared checks. The listed properties that are not form fields
+ * (e.g. photoIds) are kept apart in req.extras. An empty body counts as an empty object.
+ */
+function readJsonFields(...extraNames) {
+  return (req, res, next) => {
+    if (req.is('application/json') === false) {
+      return sendError(res, 415, { code: 'unsupported_media_type', message: 'Send the request body as application/json' });
+    }
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return sendError(res, 400, { code: 'invalid_json', message: 'The request body must be a JSON object' });
+    }
+
+    const body = req.body;
+    req.extras = {};
+    req.body = {};
+    Object.keys(body).forEach(name => {
+      if (extraNames.includes(name)) {
+        req.extras[name] = body[name];
+      } else {
+        req.body[kebabCase(name)] = body[name];
+      }
+    });
+    next();
+  };
+}
+
+// Problems with photoIds, as a validation error list (or an empty one)
+function checkPhotoIds(photoIds) {
+  if (!Array.isArray(photoIds) || !photoIds.every(id => typeof id === 'string')) {
+    return [{ field: 'photoIds', code: 'invalid_type', message: 'Must be a list of upload IDs' }];
+  }
+  const { maxFiles } = config.get().uploads;
+  if (photoIds.length > maxFiles) {
+    return [{ field: 'photoIds', code: 'too_many', message: `At most ${maxFiles} photos can be attached` }];
+  }
+  return [];
+}
+
+/**
+ * Handler: validate the quote request in req.body (form names) with the photos listed in
+ * req.extras.photoIds, store it and answer 201 with its ID. `afterSubmit(req, lead)` runs once
+ * the lead is stored.
+ */
+function submitQuoteRequest(afterSubmit) {
+  return async (req, res, next) => {
+    try {
+      const { photoIds: requestedPhotos = [] } = req.extras;
+      const { calculatorMode, formData, errors } = quoteSubmission.validateSubmission(req.body);
+      errors.push(...checkPhotoIds(requestedPhotos));
+      if (errors.length > 0) {
+        return quoteSubmission.sendValidationErrors(res, errors);
+      }
+
+      if (quoteLimits.limitByEmail(req, res, formData.email)) return;
+
+      // Take the photos before the lead exists, so a concurrent request can't attach them too
+      const photoIds = Array.from(new Set(requestedPhotos));
+      const { attachments, unavailable } = await pendingUploads.claim(photoIds);
+      if (unavailable.length > 0) {
+        return quoteSubmission.sendValidationErrors(res, [{
+          field: 'photoIds',
+          code: 'unknown_upload',
+          message: `Unknown, expired or already used uploads: ${unavailable.join(', ')}`
+        }]);
+      }
+
+      let lead;
+      try {
+        ({ lead } = await quoteSubmission.submitQuote({
+          calculatorMode,
+          formData,
+          storedFiles: attachments,
+          ip: req.ip,
+          origin: req.get('Origin')
+        }));
+      } catch (error) {
+        await pendingUploads.release(photoIds);
+        throw error;
+      }
+      abuseProtection.useFormToken(req);
+      if (afterSubmit) await afterSubmit(req, lead);
+
+      sendSubmitted(res, lead.id);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  readJsonFields,
+  submitQuoteRequest
+};
@@ -0,0 +1,10 @@
+const express = require('express');
+const abuseProtection = require('../../lib/abuseProtection');
+const { readJsonFields, submitQuoteRequest } = require('./quoteRequests');
+
+const router = express.Router();
+
+// Submit a quote request as JSON. Photos are uploaded first (POST /uploads) and referenced by ID
+router.post('/', abuseProtection.rateLimits('quotes').limitByIp, readJsonFields('photoIds'), abuseProtection.checkForm, submitQuoteRequest());
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const abuseProtection = require('../../lib/abuseProtection');
+const multipartUploads = require('../../lib/multipartUploads');
+const pendingUploads = require('../../lib/pendingUploads');
+
+const router = express.Router();
+
+// Upload photos ahead of a JSON quote submission; each gets an ID to list in the quote's photoIds
+router.post('/', abuseProtection.rateLimits('uploads').limitByIp, multipartUploads.parseUploads, async (req, res, next) => {
+  try {
+    const images = await multipartUploads.processRequestUploads(req, res);
+    if (!images) return;
+
+    res.status(201).json({ success: true, data: await pendingUploads.savePending(images) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+/**
+ * Builds the bundled resources/irradiance-grid.json, a coarse global monthly GHI table in the
+ * layout lib/irradiance.js reads, so a fresh checkout can estimate yields out of the box.
+ *
+ * The values are a modelled climatology, not measurements: monthly extraterrestrial radiation
+ * scaled by a clearness index that follows the seasonal rain belt (ITCZ), the subtropical dry
+ * belts, cloudier mid/high latitudes and the West African Harmattan haze. That is good enough for
+ * first-pass quotes; for bankable yields, replace the file with measured data using
+ * scripts/import-irradiance.js.
+ *
+ * Usage: node scripts/build-irradiance-grid.js
+ */
+const fs = require('fs');
+const path = require('path');
+const { REPRESENTATIVE_DAYS, declination, extraterrestrialDaily } = require('../lib/irradiance');
+
+const STEP = 5;
+const LAT_START = -90;
+const LON_START = -180;
+const LAT_COUNT = 180 / STEP + 1;
+const LON_COUNT = 360 / STEP;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+// Latitude of the tropical rain belt on a given day of the year
+function rainBeltLatitude(day) {
+  return 5 + 12 * Math.cos((2 * Math.PI * (day - 213)) / 365);
+}
+
+function clearnessIndex(latitude, longitude, monthIndex) {
+  const day = REPRESENTATIVE_DAYS[monthIndex];
+  let kt = 0.6;
+
+  // Cloudy, rainy band trailing on the equator side of the rain belt
+  const rainOffset = (latitude - (rainBeltLatitude(day) - 6)) / 9;
+  kt -= 0.15 * Math.exp(-rainOffset * rainOffset);
+
+  // Clear subtropical dry belts around 24° north and south
+  const dryOffset = (Math.abs(latitude) - 24) / 10;
+  kt += 0.12 * Math.exp(-dryOffset * dryOffset);
+
+  // Mid and high latitudes are cloudier year round
+  kt -= 0.25 * Math.min(Math.max((Math.abs(latitude) - 35) / 25, 0), 1);
+
+  // Harmattan dust over West Africa from December to February
+  const harmattan = [11, 0, 1].includes(monthIndex);
+  if (harmattan && latitude >= 4 && latitude <= 20 && longitude >= -20 && longitude <= 30) {
+    kt -= 0.04;
+  }
+
+  return Math.min(Math.max(kt, 0.3), 0.72);
+}
+
+function buildGrid() {
+  const values = [];
+
+  for (let row = 0; row < LAT_COUNT; row++) {
+    // Keep the poles just off ±90° so tan(latitude) stays finite
+    const latitude = Math.min(Math.max(LAT_START + row * STEP, -89.9), 89.9);
+
+    for (let column = 0; column < LON_COUNT; column++) {
+      const longitude = LON_START + column * STEP;
+
+      values.push(REPRESENTATIVE_DAYS.map((day, m) => {
+        const h0 = Math.max(extraterrestrialDaily(toRadians(latitude), declination(day), day), 0);
+        return Math.round(h0 * clearnessIndex(latitude, longitude, m) * 100) / 100;
+      }));
+    }
+  }
+
+  return {
+    description: 'Monthly average daily global horizontal irradiance (kWh/m²/day) on a regular lat-lon grid. ' +
+      'values[row * lonCount + column] holds Jan..Dec for latitude latStart + row * latStep and longitude ' +
+      'lonStart + column * lonStep, or null where there is no data.',
+    source: 'modelled-climatology-v1',
+    latStart: LAT_START,
+    lonStart: LON_START,
+    latStep: STEP,
+    lonStep: STEP,
+    latCount: LAT_COUNT,
+    lonCount: LON_COUNT,
+    values
+  };
+}
+
+const outputPath = path.join(__dirname, '..', 'resources', 'irradiance-grid.json');
+fs.writeFileSync(outputPath, JSON.stringify(buildGrid()) + '\n');
+console.log(`Wrote ${outputPath}`);
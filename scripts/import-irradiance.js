@@ -0,0 +1,113 @@
+/**
+ * Replaces resources/irradiance-grid.json, the monthly GHI table used by lib/irradiance.js, with
+ * one built from measured climatology exports instead of the bundled modelled grid.
+ *
+ * Each input is a CSV with LAT, LON and JAN..DEC columns holding the monthly average daily global
+ * horizontal irradiance in kWh/m²/day, e.g. a NASA POWER climatology export of
+ * ALLSKY_SFC_SW_DWN (https://power.larc.nasa.gov/data-access-viewer/, "Climatology", "Regional",
+ * CSV). POWER's header block and rows for other parameters are skipped, so several regional
+ * exports can be passed at once to cover a larger area. Points must lie on one regular grid;
+ * cells with POWER's -999 fill value, or that no export covers, are left empty and not looked up.
+ *
+ * Usage: node scripts/import-irradiance.js [--source "NASA POWER ..."] [--output grid.json] export.csv [...]
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MONTH_COLUMNS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const GHI_PARAMETER = 'ALLSKY_SFC_SW_DWN';
+const FILL_VALUE = -999;
+
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'resources', 'irradiance-grid.json');
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+// { latitude, longitude, months } for every GHI row of one export; months is null for fill values
+function readExport(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => /(^|,)\s*LAT\s*,/i.test(line) && /,\s*JAN\s*,/i.test(line));
+  if (headerIndex === -1) fail(`${file}: no header row with LAT, LON and JAN..DEC columns`);
+
+  const header = lines[headerIndex].split(',').map(column => column.trim().toUpperCase());
+  const column = name => header.indexOf(name);
+  const missing = ['LAT', 'LON', ...MONTH_COLUMNS].filter(name => column(name) === -1);
+  if (missing.length) fail(`${file}: missing columns ${missing.join(', ')}`);
+
+  return lines.slice(headerIndex + 1)
+    .filter(line => line.trim())
+    .map(line => line.split(',').map(cell => cell.trim()))
+    .filter(cells => column('PARAMETER') === -1 || cells[column('PARAMETER')].toUpperCase() === GHI_PARAMETER)
+    .map((cells, row) => {
+      const numbers = ['LAT', 'LON', ...MONTH_COLUMNS].map(name => Number(cells[column(name)]));
+      if (numbers.some(Number.isNaN)) fail(`${file}: data row ${row + 1} is not numeric`);
+      const [latitude, longitude, ...months] = numbers;
+      return { latitude, longitude, months: months.some(value => value <= FILL_VALUE) ? null : months };
+    });
+}
+
+// Smallest gap between distinct values, i.e. the grid spacing along one axis
+function spacing(values, axis) {
+  const sorted = [...new Set(values)].sort((a, b) => a - b);
+  if (sorted.length < 2) fail(`The exports need at least two distinct ${axis} values`);
+  return Math.min(...sorted.slice(1).map((value, i) => value - sorted[i]));
+}
+
+function buildGrid(points, source) {
+  const latitudes = points.map(point => point.latitude);
+  const longitudes = points.map(point => point.longitude);
+  const latStep = spacing(latitudes, 'latitude');
+  const lonStep = spacing(longitudes, 'longitude');
+  const latStart = Math.min(...latitudes);
+  const lonStart = Math.min(...longitudes);
+  const latCount = Math.round((Math.max(...latitudes) - latStart) / latStep) + 1;
+  const lonCount = Math.round((Math.max(...longitudes) - lonStart) / lonStep) + 1;
+
+  const values = new Array(latCount * lonCount).fill(null);
+  for (const point of points) {
+    const row = (point.latitude - latStart) / latStep;
+    const column = (point.longitude - lonStart) / lonStep;
+    if (Math.abs(row - Math.round(row)) > 1e-6 || Math.abs(column - Math.round(column)) > 1e-6) {
+      fail(`Point ${point.latitude}, ${point.longitude} is off the ${latStep}° x ${lonStep}° grid`);
+    }
+    if (point.months) {
+      values[Math.round(row) * lonCount + Math.round(column)] = point.months.map(value => Math.round(value * 100) / 100);
+    }
+  }
+
+  return {
+    description: 'Monthly average daily global horizontal irradiance (kWh/m²/day) on a regular lat-lon grid. ' +
+      'values[row * lonCount + column] holds Jan..Dec for latitude latStart + row * latStep and longitude ' +
+      'lonStart + column * lonStep, or null where there is no data.',
+    source,
+    latStart,
+    lonStart,
+    latStep,
+    lonStep,
+    latCount,
+    lonCount,
+    values
+  };
+}
+
+// --source and --output take a value; every other argument is an export to read
+const options = { '--source': `NASA POWER ${GHI_PARAMETER} climatology`, '--output': DEFAULT_OUTPUT };
+const files = [];
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+  if (args[i] in options) {
+    options[args[i]] = args[++i];
+  } else {
+    files.push(args[i]);
+  }
+}
+const { '--source': source, '--output': outputPath } = options;
+if (!files.length || !source || !outputPath) {
+  fail('Usage: node scripts/import-irradiance.js [--source "..."] [--output grid.json] export.csv [export.csv ...]');
+}
+
+const grid = buildGrid(files.flatMap(readExport), source);
+fs.writeFileSync(outputPath, JSON.stringify(grid) + '\n');
+console.log(`Wrote ${outputPath}: ${grid.latCount} x ${grid.lonCount} cells, ${grid.values.filter(Boolean).length} with data`);
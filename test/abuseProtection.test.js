@@ -0,0 +1,132 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.useTempDataDir();
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../lib/config');
+const abuseProtection = require('../lib/abuseProtection');
+const leadStore = require('../lib/leadStore');
+const { createApp } = require('../app');
+
+describe('rate limits', () => {
+  let app;
+  let server;
+  let base;
+
+  before(async () => {
+    const settings = helpers.testConfig({
+      SMTP_HOST: 'smtp.example.com',
+      EMAIL_FROM: 'quotes@example.com',
+      RECIPIENT_EMAIL: 'sales@example.com',
+      RATE_LIMIT_PER_IP: '1'
+    });
+    app = createApp({ config: settings, mailTransport: helpers.fakeMailTransport() });
+    server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+    base = `http://127.0.0.1:${server.address().port}/api/v1`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const post = (path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('each route group has its own budget and is named in the block', async () => {
+    assert.equal((await post('/drafts', { calculatorMode: 'standard', name: 'Ada Obi' })).status, 201);
+
+    const blocked = await post('/drafts', { calculatorMode: 'standard', name: 'Ada Obi' });
+    assert.equal(blocked.status, 429);
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+    assert.match((await blocked.json()).error.message, /Too many drafts/);
+
+    // Saving drafts used up the drafts budget only
+    assert.equal((await post('/privacy-requests', { type: 'access', email: 'ada@example.com' })).status, 202);
+
+    const { recent } = config.runInScope(app.locals.configScope, () => abuseProtection.getStats());
+    assert.equal(recent[0].reason, 'rate_limit_ip');
+    assert.equal(recent[0].group, 'drafts');
+  });
+
+  test('an unknown group is a programming error', () => {
+    assert.throws(() => abuseProtection.rateLimits('contact'), /Unknown rate limit group/);
+  });
+});
+
+describe('form tokens', () => {
+  let app;
+  let server;
+  let base;
+
+  before(async () => {
+    const settings = helpers.testConfig({
+      SMTP_HOST: 'smtp.example.com',
+      EMAIL_FROM: 'quotes@example.com',
+      RECIPIENT_EMAIL: 'sales@example.com',
+      FORM_TOKEN_REQUIRED: 'true',
+      FORM_MIN_FILL_SECONDS: '0'
+    });
+    app = createApp({ config: settings, mailTransport: helpers.fakeMailTransport() });
+    server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+    base = `http://127.0.0.1:${server.address().port}/api/v1`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const submitQuote = (formToken, email) => fetch(`${base}/quotes`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      formToken,
+      name: 'Chike Eze',
+      email,
+      phone: '+2348040000001',
+      address: '1 Marina, Lagos',
+      solarPanels: '8',
+      battery: '10 kWh',
+      systemSize: '3.2 kW',
+      dailyEnergy: '12 kWh',
+      contactMethod: 'email'
+    })
+  });
+
+  test('a form rejected as invalid can be corrected and sent again with the same token', async () => {
+    const { data: { token } } = await (await fetch(`${base}/form-token`)).json();
+    const blocked = () => config.runInScope(app.locals.configScope, () => abuseProtection.getStats().recent.length);
+    const blockedBefore = blocked();
+
+    assert.equal((await submitQuote(token, 'chike.eze@example')).status, 422);
+    assert.equal((await submitQuote(token, 'chike.eze@example.com')).status, 201);
+    assert.equal(blocked(), blockedBefore);
+
+    // Once accepted the token is used up
+    const replay = await submitQuote(token, 'chike.eze@example.com');
+    assert.equal(replay.status, 400);
+    assert.equal((await replay.json()).error.code, 'form_expired');
+  });
+});
+
+describe('duplicate detection', () => {
+  before(() => {
+    config.use(helpers.testConfig({ NOTIFY_WEBHOOK_URL: 'https://crm.example.com/hooks' }));
+  });
+
+  const submit = fields => ({ calculatorMode: 'standard', fields: { name: 'Bola Ade', contactMethod: 'phone', ...fields } });
+
+  test('matches the same contact with similar system details', async () => {
+    const lead = await leadStore.createLead(submit({ phone: '+2348020000001', systemSize: '5 kW', solarPanels: '12' }));
+
+    assert.equal(abuseProtection.findDuplicate(submit({ phone: '+2348020000001', systemSize: '5.2 kW' })).id, lead.id);
+    assert.equal(abuseProtection.findDuplicate(submit({ phone: '+2348020000001', systemSize: '8 kW' })), null);
+  });
+
+  test('needs at least one numeric detail in common', async () => {
+    await leadStore.createLead(submit({ phone: '+2348020000002', systemSize: '5 kW' }));
+
+    assert.equal(abuseProtection.findDuplicate(submit({ phone: '+2348020000002' })), null);
+    assert.equal(abuseProtection.findDuplicate(submit({ phone: '+2348020000002', electricBill: '40000' })), null);
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.useTempDataDir();
+process.env.LOG_LEVEL = 'error';
+
+const { createApp } = require('../app');
+
+const ADMIN_TOKEN = 'templates-test-token';
+
+describe('GET /api/admin/templates/:name/preview', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    const app = createApp({
+      config: helpers.testConfig({ NOTIFY_WEBHOOK_URL: 'https://crm.example.com/hooks', ADMIN_API_TOKENS: `designer:${ADMIN_TOKEN}` })
+    });
+    server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+    base = `http://127.0.0.1:${server.address().port}/api/admin/templates`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const get = path => fetch(`${base}${path}`, { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+
+  test('renders a template with sample data', async () => {
+    const response = await get('/quote-notification/preview?mode=advanced&format=txt');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    assert.ok((await response.text()).length > 0);
+  });
+
+  test('answers bad options and unknown templates with an error code', async () => {
+    const cases = [
+      ['/quote-notification/preview?format=pdf', 400, 'invalid_format'],
+      ['/quote-notification/preview?mode=expert', 400, 'invalid_mode'],
+      ['/quote-notification/preview?brand=nobody', 400, 'invalid_brand'],
+      ['/invoice/preview', 404, 'template_not_found']
+    ];
+    for (const [path, status, code] of cases) {
+      const response = await get(path);
+      assert.equal(response.status, status, path);
+      const body = await response.json();
+      assert.deepEqual([body.success, body.code], [false, code], path);
+      assert.ok(body.message, path);
+    }
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.useTempDataDir();
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../lib/config');
+const analytics = require('../lib/analytics');
+const leadStore = require('../lib/leadStore');
+const { createApp } = require('../app');
+
+const ADMIN_TOKEN = 'analytics-test-token';
+
+const settings = helpers.testConfig({
+  NOTIFY_WEBHOOK_URL: 'https://crm.example.com/hooks',
+  ADMIN_API_TOKENS: `analyst:${ADMIN_TOKEN}`
+});
+
+// Leads are created now; move them to the day they are meant to have come in
+async function leadOn(date, { calculatorMode = 'standard', fields = {}, history = [] } = {}) {
+  const lead = await leadStore.createLead({ calculatorMode, fields: { name: 'Ada Obi', ...fields } });
+  const statusHistory = ['new', ...history].map(status => ({ status, at: `${date}T10:00:00.000Z` }));
+  Object.assign(leadStore.getLead(lead.id), {
+    createdAt: `${date}T09:00:00.000Z`,
+    status: statusHistory[statusHistory.length - 1].status,
+    statusHistory
+  });
+  return lead;
+}
+
+before(async () => {
+  config.use(settings);
+  await leadOn('2026-03-02', {
+    fields: { systemSize: '5 kW', battery: '10 kWh', electricBill: '40000', contactMethod: 'email', systemType: 'hybrid' },
+    history: ['contacted', 'quoted', 'won']
+  });
+  await leadOn('2026-03-04', { fields: { systemSize: '3 kW', contactMethod: 'phone' }, history: ['contacted', 'lost'] });
+  await leadOn('2026-03-20', { calculatorMode: 'advanced', fields: { systemSize: '12 kW' } });
+});
+
+describe('submissions over time', () => {
+  test('counts each day of the range, including days without leads', () => {
+    const { periods } = analytics.countsOverTime({
+      interval: 'day',
+      from: new Date('2026-03-01T00:00:00Z'),
+      to: new Date('2026-03-04T23:59:59Z')
+    });
+
+    assert.deepEqual(periods, [
+      { period: '2026-03-01', count: 0, byCalculatorMode: {} },
+      { period: '2026-03-02', count: 1, byCalculatorMode: { standard: 1 } },
+      { period: '2026-03-03', count: 0, byCalculatorMode: {} },
+      { period: '2026-03-04', count: 1, byCalculatorMode: { standard: 1 } }
+    ]);
+  });
+
+  test('spans the leads in weeks from Monday and in months', () => {
+    const weeks = analytics.countsOverTime({ interval: 'week' }).periods;
+    assert.deepEqual(weeks.map(week => [week.period, week.count]), [['2026-03-02', 2], ['2026-03-09', 0], ['2026-03-16', 1]]);
+
+    const months = analytics.countsOverTime({ interval: 'month', calculatorMode: 'advanced' }).periods;
+    assert.deepEqual(months, [{ period: '2026-03-01', count: 1, byCalculatorMode: { advanced: 1 } }]);
+  });
+
+  test('refuses a range with more periods than a report may have', () => {
+    const from = new Date('2026-01-01T00:00:00Z');
+    const lastDay = new Date(from.getTime() + (analytics.MAX_PERIODS - 1) * 24 * 60 * 60 * 1000);
+    assert.equal(analytics.countsOverTime({ interval: 'day', from, to: lastDay }).periods.length, analytics.MAX_PERIODS);
+
+    const oneMore = new Date(lastDay.getTime() + 24 * 60 * 60 * 1000);
+    assert.throws(() => analytics.countsOverTime({ interval: 'day', from, to: oneMore }), { code: 'TOO_MANY_PERIODS' });
+    assert.throws(() => analytics.countsOverTime({ interval: 'day', from: new Date('0001-01-01') }), { code: 'TOO_MANY_PERIODS' });
+  });
+});
+
+describe('reports', () => {
+  test('break leads down by form choice, most common first', () => {
+    const { total, dimensions } = analytics.breakdowns();
+
+    assert.equal(total, 3);
+    assert.deepEqual(dimensions['calculator-mode'], [
+      { value: 'standard', count: 2, share: 0.6667 },
+      { value: 'advanced', count: 1, share: 0.3333 }
+    ]);
+    assert.deepEqual(dimensions['contact-method'].map(entry => entry.value), ['email', 'phone', 'unspecified']);
+  });
+
+  test('describe the spread of system sizes and count the leads without one', () => {
+    const { distributions } = analytics.distributions();
+    const sizes = distributions['system-size'];
+
+    assert.deepEqual([sizes.count, sizes.missing, sizes.min, sizes.median, sizes.max], [3, 0, 3, 5, 12]);
+    assert.deepEqual(sizes.buckets.filter(bucket => bucket.count > 0).map(bucket => [bucket.from, bucket.to]), [[3, 5], [5, 7.5], [10, 15]]);
+    assert.equal(distributions.battery.missing, 2);
+  });
+
+  test('count the leads that reached each stage and the win rate of closed ones', () => {
+    const report = analytics.conversion();
+
+    assert.deepEqual([report.total, report.open, report.lost, report.winRate], [3, 1, 1, 0.5]);
+    assert.deepEqual(report.stages.contacted, { count: 2, rate: 0.6667 });
+    assert.deepEqual(report.stages.won, { count: 1, rate: 0.3333 });
+    assert.equal(report.byCalculatorMode.advanced.open, 1);
+  });
+});
+
+describe('GET /api/analytics', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    const app = createApp({ config: settings });
+    server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+    base = `http://127.0.0.1:${server.address().port}/api/analytics`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const get = (path, token = ADMIN_TOKEN) => fetch(`${base}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+
+  test('needs an admin token', async () => {
+    assert.equal((await get('/submissions', 'wrong')).status, 401);
+  });
+
+  test('exports the submissions as CSV', async () => {
+    const response = await get('/submissions?from=2026-03-01&to=2026-03-03&format=csv');
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.equal(await response.text(), 'period,total,standard\r\n2026-03-01,0,0\r\n2026-03-02,1,1\r\n2026-03-03,0,0\r\n');
+  });
+
+  test('rejects bad filters and oversized ranges with a 400', async () => {
+    for (const query of ['?from=yesterday', '?interval=hour', '?format=xml', '?from=0001-01-01&interval=day']) {
+      const response = await get(`/submissions${query}`);
+      assert.equal(response.status, 400, query);
+      assert.equal((await response.json()).success, false);
+    }
+  });
+});
@@ -0,0 +1,182 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const helpers = require('./helpers');
+
+helpers.useTempDataDir();
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../lib/config');
+const jobQueue = require('../lib/jobQueue');
+const leadStore = require('../lib/leadStore');
+const { createApp, start } = require('../app');
+
+const emailSettings = recipient => helpers.testConfig({
+  SMTP_HOST: 'smtp.example.com',
+  EMAIL_FROM: 'quotes@example.com',
+  RECIPIENT_EMAIL: recipient
+});
+
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+const close = server => new Promise(resolve => server.close(resolve));
+
+// Each customer gets their own phone so no submission is merged into another as a duplicate
+function submitQuote(server, name, phone) {
+  const form = new FormData();
+  Object.entries({
+    'name': name,
+    'email': `${name.toLowerCase().replace(/\W+/g, '.')}@example.com`,
+    'phone': phone,
+    'address': '1 Marina, Lagos',
+    'solar-panels': '8',
+    'battery': '10 kWh',
+    'system-size': '3.2 kW',
+    'daily-energy': '12 kWh',
+    'contact-method': 'phone'
+  }).forEach(([field, value]) => form.append(field, value));
+
+  return fetch(`http://127.0.0.1:${server.address().port}/api/send-quote-request`, { method: 'POST', body: form });
+}
+
+describe('createApp', () => {
+  const processDefault = emailSettings('default@example.com');
+  const transports = { north: helpers.fakeMailTransport(), south: helpers.fakeMailTransport() };
+  const servers = {};
+
+  before(async () => {
+    config.use(processDefault);
+    servers.north = await listen(createApp({ config: emailSettings('north@example.com'), mailTransport: transports.north }));
+    servers.south = await listen(createApp({ config: emailSettings('south@example.com'), mailTransport: transports.south }));
+  });
+
+  after(() => Promise.all(Object.values(servers).map(close)));
+
+  test('each app sends through its own settings and mail transport', async () => {
+    const response = await submitQuote(servers.north, 'Ada Obi', '+2348010000001');
+    assert.equal(response.status, 200);
+    const { id } = await response.json();
+
+    // Run outside either app: the job still uses the settings of the app that queued it
+    await jobQueue.processDueJobs();
+
+    assert.equal(leadStore.getLead(id).notification.status, 'sent');
+    assert.equal(transports.north.messages.length, 1);
+    assert.equal(transports.north.messages[0].to, 'north@example.com');
+    assert.equal(transports.south.messages.length, 0);
+
+    assert.equal((await submitQuote(servers.south, 'Bola Ade', '+2348010000002')).status, 200);
+    await jobQueue.processDueJobs();
+
+    assert.equal(transports.south.messages.length, 1);
+    assert.equal(transports.south.messages[0].to, 'south@example.com');
+    assert.equal(transports.north.messages.length, 1);
+  });
+
+  test('building an app leaves the process default config alone', () => {
+    assert.equal(config.get(), processDefault);
+  });
+});
+
+describe('createApp with separate data directories', () => {
+  const dirs = {};
+  const transports = {};
+  const servers = {};
+
+  before(async () => {
+    for (const name of ['east', 'west']) {
+      dirs[name] = fs.mkdtempSync(path.join(os.tmpdir(), `solar-test-${name}-`));
+      transports[name] = helpers.fakeMailTransport();
+      const settings = helpers.testConfig({
+        DATA_DIR: dirs[name],
+        SMTP_HOST: 'smtp.example.com',
+        EMAIL_FROM: 'quotes@example.com',
+        RECIPIENT_EMAIL: `${name}@example.com`,
+        RATE_LIMIT_PER_IP: '1'
+      });
+      servers[name] = await listen(createApp({ config: settings, mailTransport: transports[name] }));
+    }
+  });
+
+  after(async () => {
+    await Promise.all(Object.values(servers).map(close));
+    Object.values(dirs).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  const storedLeads = name => JSON.parse(fs.readFileSync(path.join(dirs[name], 'leads.json'), 'utf8'));
+
+  test('each app stores, limits and delivers its own leads', async () => {
+    const east = await submitQuote(servers.east, 'Efe Obi', '+2348010000011');
+    assert.equal(east.status, 200);
+    assert.equal((await submitQuote(servers.east, 'Femi Ade', '+2348010000012')).status, 429);
+
+    // The other app's rate limit is untouched
+    const west = await submitQuote(servers.west, 'Gbenga Eze', '+2348010000013');
+    assert.equal(west.status, 200);
+
+    assert.deepEqual(storedLeads('east').map(lead => lead.id), [(await east.json()).id]);
+    assert.deepEqual(storedLeads('west').map(lead => lead.id), [(await west.json()).id]);
+
+    // One pass, outside either app, works through both apps' queues
+    await jobQueue.processDueJobs();
+
+    assert.deepEqual(transports.east.messages.map(message => message.to), ['east@example.com']);
+    assert.deepEqual(transports.west.messages.map(message => message.to), ['west@example.com']);
+    assert.equal(storedLeads('east')[0].notification.status, 'sent');
+    assert.equal(storedLeads('west')[0].notification.status, 'sent');
+  });
+});
+
+describe('start', () => {
+  test('serves the app with the given config and delivers queued jobs in the background', async () => {
+    const transport = helpers.fakeMailTransport();
+    const server = await start({ config: helpers.testConfig({ PORT: '0', SMTP_HOST: 'smtp.example.com', EMAIL_FROM: 'quotes@example.com', RECIPIENT_EMAIL: 'sales@example.com' }), mailTransport: transport });
+    try {
+      assert.equal((await submitQuote(server, 'Chike Eze', '+2348010000003')).status, 200);
+
+      // The worker picks the job up without being asked
+      for (let wait = 0; wait < 100 && transport.messages.length === 0; wait++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      assert.equal(transport.messages.length, 1);
+      assert.equal(transport.messages[0].to, 'sales@example.com');
+    } finally {
+      jobQueue.stopWorker();
+      await close(server);
+    }
+  });
+});
+
+describe('config validation', () => {
+  const problemsOf = env => {
+    try {
+      helpers.testConfig(env);
+    } catch (error) {
+      assert.equal(error.code, 'INVALID_CONFIG');
+      return error.problems;
+    }
+    return [];
+  };
+
+  test('refuses a config without any notification channel', () => {
+    assert.ok(problemsOf({}).some(problem => problem.startsWith('notifications: no channel can deliver')));
+  });
+
+  test('refuses channel definitions that are all disabled or incomplete', () => {
+    const channels = [
+      { type: 'webhook', url: 'https://crm.example.com/hooks', enabled: false },
+      { type: 'smtp', host: 'smtp.example.com' }
+    ];
+    assert.ok(problemsOf({ NOTIFICATION_CHANNELS: JSON.stringify(channels) }).some(problem => problem.startsWith('notifications:')));
+  });
+
+  test('accepts a webhook as the only channel', () => {
+    assert.deepEqual(problemsOf({ NOTIFY_WEBHOOK_URL: 'https://crm.example.com/hooks' }), []);
+  });
+});
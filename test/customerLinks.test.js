@@ -0,0 +1,83 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.useTempDataDir();
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../lib/config');
+const leadStore = require('../lib/leadStore');
+const auditLog = require('../lib/auditLog');
+const { createApp } = require('../app');
+
+describe('data deletion link', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    const settings = helpers.testConfig({ SMTP_HOST: 'smtp.example.com', EMAIL_FROM: 'quotes@example.com', RECIPIENT_EMAIL: 'sales@example.com' });
+    // The leads below are created outside the app
+    config.use(settings);
+
+    const app = createApp({ config: settings, mailTransport: helpers.fakeMailTransport() });
+    server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+    base = `http://127.0.0.1:${server.address().port}/api/customer`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const createLead = email => leadStore.createLead({
+    calculatorMode: 'standard',
+    fields: { name: 'Ada Obi', email, contactMethod: 'email', address: '1 Marina, Lagos' }
+  });
+
+  test('opening the link only shows a confirmation form', async () => {
+    const lead = await createLead('ada@example.com');
+
+    const response = await fetch(`${base}/data-deletion?token=${lead.customerToken}`);
+    const html = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(html, /<form method="post" action="data-deletion"/);
+    assert.equal(leadStore.getLead(lead.id).fields.name, 'Ada Obi');
+    assert.equal(leadStore.getLead(lead.id).anonymisedAt, undefined);
+  });
+
+  test('confirming erases every lead for the address and audits the request', async () => {
+    const lead = await createLead('bola@example.com');
+    const other = await createLead('bola@example.com');
+    const unrelated = await createLead('chike@example.com');
+
+    const response = await fetch(`${base}/data-deletion`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ token: lead.customerToken })
+    });
+
+    assert.equal(response.status, 200);
+    [lead, other].forEach(({ id }) => {
+      const erased = leadStore.getLead(id);
+      assert.ok(erased.anonymisedAt);
+      assert.equal(erased.fields.email, undefined);
+      assert.equal(erased.customerToken, null);
+    });
+    assert.equal(leadStore.getLead(unrelated.id).fields.email, 'chike@example.com');
+
+    const actions = auditLog.list({ email: 'bola@example.com' }).map(entry => entry.action);
+    assert.ok(actions.includes('privacy.requested'));
+    assert.ok(actions.includes('privacy.erased'));
+  });
+
+  test('the link cannot be used again once the data is gone', async () => {
+    const lead = await createLead('dayo@example.com');
+    const confirm = () => fetch(`${base}/data-deletion`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ token: lead.customerToken })
+    });
+
+    assert.equal((await confirm()).status, 200);
+    assert.equal((await confirm()).status, 404);
+    assert.equal((await fetch(`${base}/data-deletion?token=${lead.customerToken}`)).status, 404);
+  });
+});
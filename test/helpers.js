@@ -0,0 +1,131 @@
+/**
+ * Local stand-ins the tests run against: a temporary data directory, test settings, a mail
+ * transport that keeps messages, an SMTP sink and an HTTP receiver. Nothing here talks to the
+ * outside world.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { SMTPServer } = require('smtp-server');
+
+/**
+ * Point DATA_DIR at a new temporary directory, removed when the process exits. Call before
+ * requiring anything from lib/, whose stores are opened when they are loaded.
+ */
+function useTempDataDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solar-test-'));
+  process.env.DATA_DIR = dir;
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Settings for a test: fast queue retries and no wait between emails, plus `env`, which must
+ * give at least one notification channel. Config files are not read.
+ */
+function testConfig(env = {}) {
+  const config = require('../lib/config');
+  return config.loadConfig({
+    env: { DATA_DIR: process.env.DATA_DIR, QUEUE_RETRY_BASE_MS: '1', QUEUE_MAX_ATTEMPTS: '3', EMAIL_RATE_LIMIT: '100', ...env },
+    dir: process.env.DATA_DIR
+  });
+}
+
+/**
+ * A nodemailer transport that keeps every message instead of sending it, in `messages`
+ * (as given to sendMail: { from, to, cc, subject, html, text, attachments, headers })
+ */
+function fakeMailTransport() {
+  const messages = [];
+  return {
+    name: 'fake',
+    version: '1.0.0',
+    messages,
+    send(mail, callback) {
+      messages.push(mail.data);
+      callback(null, { envelope: mail.message.getEnvelope(), messageId: mail.message.messageId() });
+    }
+  };
+}
+
+/**
+ * An SMTP server on a free local port that accepts any login and keeps every message.
+ * Resolves with { port, messages, logins, close }; each message is { from, to, raw } and each
+ * login the user name it gave.
+ */
+function startSmtpSink() {
+  const messages = [];
+  const logins = [];
+  const server = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ['STARTTLS'],
+    logger: false,
+    onAuth(auth, session, callback) {
+      logins.push(auth.username);
+      callback(null, { user: auth.username });
+    },
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => {
+        messages.push({
+          from: session.envelope.mailFrom.address,
+          to: session.envelope.rcptTo.map(recipient => recipient.address),
+          raw: Buffer.concat(chunks).toString('utf8')
+        });
+        callback();
+      });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.server.address().port,
+        messages,
+        logins,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * An HTTP server on a free local port. `respond(request)` returns the status code to answer
+ * with (default 200); every request is kept as { method, url, headers, body }.
+ * Resolves with { url, requests, close }.
+ */
+function startHttpReceiver(respond = () => 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') };
+      requests.push(request);
+      res.statusCode = respond(request, requests.length);
+      res.end();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  useTempDataDir,
+  testConfig,
+  fakeMailTransport,
+  startSmtpSink,
+  startHttpReceiver
+};
@@ -0,0 +1,163 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const irradiance = require('../lib/irradiance');
+
+const annual = profile => profile.months.reduce((sum, month) => sum + month.poa * month.days, 0);
+
+describe('plane-of-array transposition', () => {
+  test('a flat array receives the horizontal irradiation', () => {
+    for (const latitude of [-35, 0, 6.5, 45]) {
+      for (let m = 0; m < 12; m++) {
+        const poa = irradiance.planeOfArrayDaily(5, latitude, 0, 180, m);
+        assert.ok(Math.abs(poa - 5) < 0.1, `${latitude}° month ${m + 1}: ${poa}`);
+      }
+    }
+  });
+
+  test('tilting towards the equator gains in winter, facing away loses', () => {
+    const december = 11;
+    const flat = irradiance.planeOfArrayDaily(1.5, 50, 0, 180, december);
+    assert.ok(irradiance.planeOfArrayDaily(1.5, 50, 50, 180, december) > flat * 1.3);
+    assert.ok(irradiance.planeOfArrayDaily(1.5, 50, 50, 0, december) < flat * 0.7);
+  });
+
+  test('the equator is to the north in the southern hemisphere', () => {
+    const june = 5;
+    const northFacing = irradiance.planeOfArrayDaily(3, -34, 30, 0, june);
+    const southFacing = irradiance.planeOfArrayDaily(3, -34, 30, 180, june);
+    assert.ok(northFacing > southFacing * 1.5);
+  });
+
+  test('east and west faces mirror each other', () => {
+    const east = irradiance.planeOfArrayDaily(5, 10, 30, 90, 3);
+    const west = irradiance.planeOfArrayDaily(5, 10, 30, 270, 3);
+    assert.ok(Math.abs(east - west) < 1e-9);
+  });
+
+  test('no sunshine gives no production', () => {
+    assert.equal(irradiance.planeOfArrayDaily(0, 45, 30, 180, 0), 0);
+  });
+});
+
+describe('monthly profile', () => {
+  test('covers a site from the bundled grid', () => {
+    assert.equal(irradiance.dataSource(), 'modelled-climatology-v1');
+
+    const profile = irradiance.monthlyProfile(6.5, 3.4);
+    assert.deepEqual(profile.months.map(month => month.month), irradiance.MONTHS);
+    assert.equal(profile.months.reduce((sum, month) => sum + month.days, 0), 365);
+    profile.months.forEach(month => assert.ok(month.ghi > 3 && month.ghi < 8, `${month.month}: ${month.ghi}`));
+    assert.equal(profile.peakSunHours, Math.round((annual(profile) / 365) * 100) / 100);
+  });
+
+  test('defaults to a latitude tilt facing the equator', () => {
+    const lagos = irradiance.monthlyProfile(6.5, 3.4);
+    assert.equal(lagos.tilt, 10);
+    assert.equal(lagos.azimuth, 180);
+
+    const capeTown = irradiance.monthlyProfile(-33.9, 18.4);
+    assert.equal(capeTown.tilt, 33.9);
+    assert.equal(capeTown.azimuth, 0);
+    assert.ok(capeTown.peakSunHours > irradiance.monthlyProfile(-33.9, 18.4, 33.9, 180).peakSunHours);
+  });
+
+  test('keeps an explicit flat tilt and orientation', () => {
+    const profile = irradiance.monthlyProfile(6.5, 3.4, 0, 90);
+    assert.equal(profile.tilt, 0);
+    assert.equal(profile.azimuth, 90);
+  });
+
+  test('interpolates between grid points and wraps around the date line', () => {
+    const [west] = irradiance.lookupMonthlyGhi(10, -175);
+    const [east] = irradiance.lookupMonthlyGhi(10, 175);
+    const [across] = irradiance.lookupMonthlyGhi(10, 180);
+    assert.ok(across >= Math.min(west, east) && across <= Math.max(west, east));
+    assert.deepEqual(irradiance.lookupMonthlyGhi(10, 180), irradiance.lookupMonthlyGhi(10, -180));
+  });
+});
+
+describe('scripts/import-irradiance.js', () => {
+  const script = path.join(__dirname, '..', 'scripts', 'import-irradiance.js');
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solar-irradiance-'));
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  const months = value => Array(12).fill(value).join(',');
+
+  // A NASA POWER regional climatology export: a header block, then one row per parameter and point
+  function writeExport(name, rows) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, [
+      '-BEGIN HEADER-',
+      'NASA/POWER Source Native Resolution Climatogy Climatologies',
+      'ALLSKY_SFC_SW_DWN     CERES SYN1deg All Sky Surface Shortwave Downward Irradiance (kW-hr/m^2/day)',
+      '-END HEADER-',
+      'PARAMETER,LAT,LON,JAN,FEB,MAR,APR,MAY,JUN,JUL,AUG,SEP,OCT,NOV,DEC,ANN',
+      ...rows,
+      ''
+    ].join('\n'));
+    return file;
+  }
+
+  const run = (...args) => spawnSync(process.execPath, [script, ...args], { encoding: 'utf8' });
+
+  test('builds a grid from the GHI rows of several exports', () => {
+    const south = writeExport('south.csv', [
+      `ALLSKY_SFC_SW_DWN,6.0,3.0,${months(5.123)},5.12`,
+      `ALLSKY_SFC_SW_DWN,6.0,3.5,${months(5.5)},5.5`,
+      `T2M,6.0,3.0,${months(27)},27`
+    ]);
+    const north = writeExport('north.csv', [
+      `ALLSKY_SFC_SW_DWN,6.5,3.0,${months(-999)},-999`,
+      `ALLSKY_SFC_SW_DWN,6.5,3.5,${months(6)},6`
+    ]);
+    const output = path.join(dir, 'grid.json');
+
+    const result = run('--source', 'NASA POWER test export', '--output', output, south, north);
+    assert.equal(result.status, 0, result.stderr);
+
+    const grid = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.equal(grid.source, 'NASA POWER test export');
+    assert.deepEqual(
+      [grid.latStart, grid.lonStart, grid.latStep, grid.lonStep, grid.latCount, grid.lonCount],
+      [6, 3, 0.5, 0.5, 2, 2]
+    );
+    assert.deepEqual(grid.values, [
+      Array(12).fill(5.12),
+      Array(12).fill(5.5),
+      null,
+      Array(12).fill(6)
+    ]);
+  });
+
+  test('refuses points off a regular grid', () => {
+    const file = writeExport('ragged.csv', [
+      `ALLSKY_SFC_SW_DWN,6.0,3.0,${months(5)},5`,
+      `ALLSKY_SFC_SW_DWN,6.5,3.5,${months(5)},5`,
+      `ALLSKY_SFC_SW_DWN,7.25,4.0,${months(5)},5`
+    ]);
+    const output = path.join(dir, 'ragged.json');
+
+    const result = run('--output', output, file);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /off the .* grid/);
+    assert.ok(!fs.existsSync(output));
+  });
+
+  test('refuses a file without the month columns', () => {
+    const file = path.join(dir, 'other.csv');
+    fs.writeFileSync(file, 'LAT,LON,ANN\n6,3,5\n');
+
+    const result = run('--output', path.join(dir, 'other.json'), file);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /no header row/);
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const helpers = require('./helpers');
+
+const dataDir = helpers.useTempDataDir();
+
+const config = require('../lib/config');
+const leadRouting = require('../lib/leadRouting');
+
+const EXAMPLE_RULES = path.join(__dirname, '..', 'resources', 'lead-rules.example.yaml');
+
+const useRules = env => config.use(helpers.testConfig({ NOTIFY_WEBHOOK_URL: 'https://crm.example.com/hooks', ...env }));
+
+const route = fields => leadRouting.routeLead({ calculatorMode: 'standard', fields: { name: 'Ada Obi', ...fields } });
+
+describe('routeLead with the example rules', () => {
+  test('finds the region from the coordinates before the address', () => {
+    useRules({ LEAD_RULES_FILE: EXAMPLE_RULES });
+
+    const byCoordinates = route({ locationCoordinates: '4.8156, 7.0498', address: '12 Allen Avenue, Ikeja' });
+    assert.deepEqual([byCoordinates.region, byCoordinates.regionSource, byCoordinates.route], ['rivers', 'coordinates', 'south-south']);
+    assert.deepEqual(byCoordinates.cc, ['ph-manager@example.com']);
+
+    const byAddress = route({ address: '12 Allen Avenue, Ikeja' });
+    assert.deepEqual([byAddress.region, byAddress.regionSource, byAddress.route], ['lagos', 'address', 'lagos']);
+    assert.deepEqual(byAddress.to, ['lagos-sales@example.com']);
+
+    // Keywords match whole words only
+    assert.equal(route({ address: 'Fctory Road, Kano' }).region, null);
+  });
+
+  test('scores matching rules and a share of the completeness points', () => {
+    useRules({ LEAD_RULES_FILE: EXAMPLE_RULES });
+
+    const { score, scoreDetails } = route({ purchaseTimeline: 'ASAP', systemSize: '12 kW', email: 'ada@example.com', phone: '+2348012345678' });
+    assert.deepEqual(scoreDetails, [
+      { rule: 'buying soon', points: 30 },
+      { rule: 'large system (10 kW+)', points: 25 },
+      { rule: 'completeness (2/4)', points: 13 }
+    ]);
+    assert.equal(score, 68);
+  });
+
+  test('takes the first route that matches', () => {
+    useRules({ LEAD_RULES_FILE: EXAMPLE_RULES });
+
+    // A high score wins over the region
+    const commercial = route({ purchaseTimeline: 'immediately', systemSize: '20', electricBill: '250000', address: 'Lekki Phase 1' });
+    assert.equal(commercial.route, 'commercial');
+    assert.equal(commercial.region, 'lagos');
+
+    assert.equal(route({ systemType: 'off-grid', address: 'Kano' }).route, 'off-grid');
+  });
+
+  test('falls back to the catch-all route with the channels\' own recipients', () => {
+    useRules({ LEAD_RULES_FILE: EXAMPLE_RULES });
+
+    const general = route({ address: 'Kano' });
+    assert.deepEqual([general.route, general.team, general.to, general.cc], ['general', 'General sales', null, null]);
+  });
+});
+
+describe('routeLead with inline rules', () => {
+  const rules = {
+    scoring: [
+      { field: 'comments', present: true, points: 5 },
+      { field: 'contact-method', in: ['phone', 'sms'], points: 10 }
+    ],
+    routes: [
+      { name: 'hot', when: { minScore: 15, calculatorMode: 'standard' }, to: ['hot@example.com', 'lead@example.com'] },
+      { name: 'advanced', when: { calculatorMode: 'advanced' }, to: 'engineers@example.com' }
+    ]
+  };
+
+  test('leaves a lead no route matches unrouted', () => {
+    useRules({ LEAD_RULES: JSON.stringify(rules) });
+
+    assert.deepEqual(route({ comments: 'Call me', contactMethod: 'sms' }).to, ['hot@example.com', 'lead@example.com']);
+    const unrouted = route({ contactMethod: 'email' });
+    assert.deepEqual([unrouted.route, unrouted.team, unrouted.to, unrouted.score], [null, null, null, 0]);
+    assert.equal(leadRouting.routeLead({ calculatorMode: 'advanced', fields: { name: 'Ada Obi' } }).route, 'advanced');
+  });
+
+  test('does nothing without rules', () => {
+    useRules({});
+    assert.equal(route({ address: 'Ikeja' }), null);
+  });
+});
+
+describe('checking the rules', () => {
+  const problemsOf = rules => {
+    try {
+      useRules({ LEAD_RULES: JSON.stringify(rules) });
+    } catch (error) {
+      assert.equal(error.code, 'INVALID_CONFIG');
+      return error.problems;
+    }
+    return [];
+  };
+
+  test('refuses route recipients that are not email addresses when the config loads', () => {
+    const problems = problemsOf({ routes: [{ name: 'lagos', to: 'lagos-sales', cc: ['ok@example.com', 'manager at example.com'] }] });
+    assert.deepEqual(problems, [
+      'routing.rules (LEAD_RULES): route \'lagos\' to: "lagos-sales" is not an email address',
+      'routing.rules (LEAD_RULES): route \'lagos\' cc: "manager at example.com" is not an email address'
+    ]);
+  });
+
+  test('refuses the same in a rules file', () => {
+    const file = path.join(dataDir, 'rules.json');
+    fs.writeFileSync(file, JSON.stringify({ routes: [{ name: 'lagos', to: ['sales@example'] }] }));
+    useRules({ LEAD_RULES_FILE: file });
+
+    assert.throws(() => leadRouting.getRules(), {
+      code: 'INVALID_LEAD_RULES',
+      message: 'Invalid lead rules: route \'lagos\' to: "sales@example" is not an email address'
+    });
+  });
+
+  test('refuses unknown route conditions', () => {
+    useRules({ LEAD_RULES: JSON.stringify({ routes: [{ name: 'lagos', when: { state: 'Lagos' } }] }) });
+    assert.throws(() => leadRouting.getRules(), /route 'lagos' has unknown conditions: state/);
+  });
+});
@@ -0,0 +1,245 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const helpers = require('./helpers');
+
+helpers.useTempDataDir();
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../lib/config');
+const createSmtpChannel = require('../lib/notifications/smtp');
+const createWebhookChannel = require('../lib/notifications/webhook');
+const createChatChannel = require('../lib/notifications/chat');
+const notifications = require('../lib/notifications');
+const jobQueue = require('../lib/jobQueue');
+const leadStore = require('../lib/leadStore');
+
+const SECRET = 'webhook-test-secret';
+
+function createTestLead() {
+  return leadStore.createLead({
+    calculatorMode: 'standard',
+    fields: {
+      name: 'Ada Obi',
+      email: 'ada@example.com',
+      phone: '+2348012345678',
+      contactMethod: 'email',
+      systemSize: '5 kW',
+      battery: '10 kWh',
+      solarPanels: '12'
+    }
+  });
+}
+
+// Make test settings with the channels in `env` the process default
+function useSettings(env) {
+  config.use(helpers.testConfig(env));
+}
+
+// The config needs a channel; nothing goes to this one, the tests that queue pick their own
+useSettings({ NOTIFY_WEBHOOK_URL: 'http://127.0.0.1:9/unused' });
+
+// Run the queue until the job has been delivered or given up on
+async function settle(jobId) {
+  for (let pass = 0; pass < 100; pass++) {
+    await jobQueue.processDueJobs();
+    const job = jobQueue.getJob(jobId);
+    if (job.status === 'done' || job.status === 'dead') return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+const channelState = (leadId, name) => leadStore.getLead(leadId).notification.channels.find(entry => entry.channel === name);
+
+describe('SMTP channel', () => {
+  let sink;
+
+  before(async () => {
+    sink = await helpers.startSmtpSink();
+  });
+
+  after(() => {
+    // Pooled connections would keep the sink open until they time out
+    notifications.closeChannels();
+    return sink.close();
+  });
+
+  test('sends the lead email to the configured recipients', async () => {
+    const channel = createSmtpChannel({
+      name: 'email',
+      host: '127.0.0.1',
+      port: sink.port,
+      secure: false,
+      auth: { user: 'quotes@example.com', pass: 'secret' },
+      to: 'sales@example.com',
+      cc: ['manager@example.com']
+    });
+    const lead = await createTestLead();
+
+    const detail = await channel.send(lead, { email: { subject: 'New lead', html: '<p>New lead</p>', text: 'New lead' } });
+    channel.transporter.close();
+
+    assert.ok(detail.messageId);
+    const message = sink.messages.at(-1);
+    assert.equal(message.from, 'quotes@example.com');
+    assert.deepEqual(message.to.sort(), ['manager@example.com', 'sales@example.com']);
+    assert.match(message.raw, /^Subject: New lead\r?$/m);
+    assert.match(message.raw, new RegExp(`^X-Lead-Id: ${lead.id}\\r?$`, 'mi'));
+  });
+
+  test('a queued notification is delivered through the SMTP server', async () => {
+    useSettings({ SMTP_HOST: '127.0.0.1', SMTP_PORT: String(sink.port), EMAIL_FROM: 'quotes@example.com', RECIPIENT_EMAIL: 'sales@example.com' });
+    const lead = await createTestLead();
+    const before = sink.messages.length;
+
+    await notifications.queueNewLead(lead);
+    const job = await settle(channelState(lead.id, 'email').jobId);
+
+    assert.equal(job.status, 'done');
+    assert.equal(channelState(lead.id, 'email').status, 'sent');
+    assert.equal(sink.messages.length, before + 1);
+    assert.deepEqual(sink.messages.at(-1).to, ['sales@example.com']);
+  });
+
+  test('a routed lead goes to the team through the SMTP channel its route names', async () => {
+    const smtp = (name, to) => ({ name, type: 'smtp', host: '127.0.0.1', port: sink.port, secure: false, from: 'quotes@example.com', to });
+    useSettings({ NOTIFICATION_CHANNELS: JSON.stringify([smtp('sales', 'sales@example.com'), smtp('installers', 'installers@example.com')]) });
+
+    // Deliver a lead routed to the Lagos team and return the recipients each channel sent to
+    async function recipientsFor(channel) {
+      const lead = await createTestLead();
+      leadStore.getLead(lead.id).routing = { route: 'lagos', channel, to: ['lagos-sales@example.com'], cc: ['lagos-manager@example.com'] };
+      await notifications.queueNewLead(lead);
+      await settle(channelState(lead.id, 'sales').jobId);
+      await settle(channelState(lead.id, 'installers').jobId);
+
+      const sent = sink.messages.filter(message => message.raw.includes(lead.id));
+      return sent.map(message => message.to.sort()).sort();
+    }
+
+    // The first SMTP channel by default
+    assert.deepEqual(await recipientsFor(null), [
+      ['installers@example.com'],
+      ['lagos-manager@example.com', 'lagos-sales@example.com']
+    ]);
+    assert.deepEqual(await recipientsFor('installers'), [
+      ['lagos-manager@example.com', 'lagos-sales@example.com'],
+      ['sales@example.com']
+    ]);
+  });
+});
+
+describe('webhook channel', () => {
+  test('signs the body with the shared secret', async () => {
+    const receiver = await helpers.startHttpReceiver();
+    try {
+      const lead = await createTestLead();
+      await createWebhookChannel({ name: 'crm', url: `${receiver.url}/hooks/leads`, secret: SECRET }).send(lead);
+
+      const [request] = receiver.requests;
+      const timestamp = request.headers['x-solar-timestamp'];
+      const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+      assert.equal(request.headers['x-solar-signature'], `sha256=${expected}`);
+      assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+
+      const body = JSON.parse(request.body);
+      assert.equal(body.event, 'quote_request.created');
+      assert.equal(body.lead.id, lead.id);
+      assert.equal(body.lead.contact.email, 'ada@example.com');
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('never sends the customer token, notes or storage paths', async () => {
+    const receiver = await helpers.startHttpReceiver();
+    try {
+      const lead = await createTestLead();
+      await leadStore.updateLead(lead.id, { note: 'Called, wants a callback' }, 'admin');
+      const stored = { ...leadStore.getLead(lead.id), attachments: [{ originalname: 'roof.jpg', storedAs: `${lead.id}/1-roof.jpg` }] };
+
+      await createWebhookChannel({ name: 'crm', url: receiver.url }).send(stored);
+
+      const { body } = receiver.requests[0];
+      assert.ok(!body.includes(lead.customerToken));
+      assert.ok(!body.includes('Called, wants a callback'));
+      assert.ok(!body.includes('1-roof.jpg'));
+      assert.equal(JSON.parse(body).lead.photoCount, 1);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('a 5xx response is retried until the receiver accepts it', async () => {
+    const receiver = await helpers.startHttpReceiver((request, count) => (count < 3 ? 503 : 200));
+    try {
+      useSettings({ NOTIFY_WEBHOOK_URL: receiver.url, NOTIFY_WEBHOOK_SECRET: SECRET });
+      const lead = await createTestLead();
+
+      await notifications.queueNewLead(lead);
+      const job = await settle(channelState(lead.id, 'webhook').jobId);
+
+      assert.equal(job.status, 'done');
+      assert.equal(job.attempts, 3);
+      assert.equal(receiver.requests.length, 3);
+      assert.equal(channelState(lead.id, 'webhook').status, 'sent');
+      assert.equal(leadStore.getLead(lead.id).notification.status, 'sent');
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('a delivery that keeps failing goes to the dead-letter list and can be replayed', async () => {
+    let failing = true;
+    const receiver = await helpers.startHttpReceiver(() => (failing ? 500 : 200));
+    try {
+      useSettings({ NOTIFY_WEBHOOK_URL: receiver.url });
+      const lead = await createTestLead();
+
+      await notifications.queueNewLead(lead);
+      const jobId = channelState(lead.id, 'webhook').jobId;
+      const dead = await settle(jobId);
+
+      assert.equal(dead.status, 'dead');
+      assert.equal(dead.attempts, 3);
+      assert.match(dead.lastError, /HTTP 500/);
+      assert.ok(jobQueue.listJobs({ status: 'dead' }).some(job => job.id === jobId));
+      assert.equal(channelState(lead.id, 'webhook').status, 'failed');
+      assert.equal(leadStore.getLead(lead.id).notification.status, 'failed');
+
+      failing = false;
+      await jobQueue.replay(jobId);
+      assert.equal((await settle(jobId)).status, 'done');
+      assert.equal(channelState(lead.id, 'webhook').status, 'sent');
+    } finally {
+      await receiver.close();
+    }
+  });
+});
+
+describe('chat channel', () => {
+  test('posts a Slack-style message with a link to the lead', async () => {
+    const receiver = await helpers.startHttpReceiver();
+    try {
+      const lead = await createTestLead();
+      await createChatChannel({ name: 'chat', url: receiver.url, leadUrl: 'https://admin.example.com/leads/{id}' }).send(lead);
+
+      const message = JSON.parse(receiver.requests[0].body);
+      assert.match(message.text, new RegExp(`Ada Obi .*${lead.id}`));
+      assert.ok(message.blocks.some(block => block.text && block.text.text === `<https://admin.example.com/leads/${lead.id}|Open lead>`));
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('a receiver error rejects so the queue retries', async () => {
+    const receiver = await helpers.startHttpReceiver(() => 502);
+    try {
+      const lead = await createTestLead();
+      await assert.rejects(createChatChannel({ name: 'chat', url: receiver.url }).send(lead), /HTTP 502/);
+    } finally {
+      await receiver.close();
+    }
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const helpers = require('./helpers');
+
+const dataDir = helpers.useTempDataDir();
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../lib/config');
+const privacy = require('../lib/privacy');
+const abuseProtection = require('../lib/abuseProtection');
+const notifications = require('../lib/notifications');
+const jobQueue = require('../lib/jobQueue');
+const leadStore = require('../lib/leadStore');
+const drafts = require('../lib/drafts');
+
+const SECRET = 'webhook-test-secret';
+
+const createLead = email => leadStore.createLead({
+  calculatorMode: 'standard',
+  fields: { name: 'Ada Obi', email, phone: '+2348012345678', contactMethod: 'email', systemSize: '5 kW' }
+});
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('erasure', () => {
+  let receiver;
+
+  before(async () => {
+    receiver = await helpers.startHttpReceiver();
+    config.use(helpers.testConfig({ NOTIFY_WEBHOOK_URL: receiver.url, NOTIFY_WEBHOOK_SECRET: SECRET }));
+  });
+
+  after(() => receiver.close());
+
+  test('tells the webhook receivers that got the lead to erase it', async () => {
+    const lead = await createLead('ada@example.com');
+    await notifications.queueNewLead(lead);
+    await jobQueue.processDueJobs();
+
+    await privacy.eraseForLead(leadStore.getLead(lead.id));
+    await jobQueue.processDueJobs();
+
+    const request = receiver.requests.at(-1);
+    const body = JSON.parse(request.body);
+    assert.equal(body.event, 'quote_request.erased');
+    assert.deepEqual(body.lead, { id: lead.id });
+    assert.ok(!request.body.includes('ada@example.com'));
+
+    const expected = crypto.createHmac('sha256', SECRET).update(`${request.headers['x-solar-timestamp']}.${request.body}`).digest('hex');
+    assert.equal(request.headers['x-solar-signature'], `sha256=${expected}`);
+  });
+
+  test('drops the deliveries still queued for the lead', async () => {
+    const lead = await createLead('chike@example.com');
+    await notifications.queueNewLead(lead);
+    const sentBefore = receiver.requests.length;
+
+    await privacy.eraseForLead(leadStore.getLead(lead.id));
+    await jobQueue.processDueJobs();
+
+    const leadJobs = jobQueue.listJobs().filter(job => job.payload.leadId === lead.id);
+    assert.deepEqual(leadJobs.map(job => job.type), ['notify-erasure']);
+    const events = receiver.requests.slice(sentBefore).map(request => JSON.parse(request.body).event);
+    assert.deepEqual(events, ['quote_request.erased']);
+  });
+
+  test('erases submitted drafts whose resume link went to the address', async () => {
+    const lead = await createLead('efe@example.com');
+    const saveDraft = async () => {
+      const draft = await drafts.createDraft({ calculatorMode: 'standard', fields: { name: 'Efe Obi', email: 'efe@example.com' } });
+      await drafts.queueResumeLink(draft);
+      return draft;
+    };
+
+    const submitted = await saveDraft();
+    await drafts.markSubmitted(submitted.id, lead.id);
+    assert.ok(!fs.readFileSync(path.join(dataDir, 'drafts.json'), 'utf8').includes('efe@example.com'));
+
+    // Submitted before markSubmitted dropped the address: only the resume email still has it
+    const older = await saveDraft();
+    await drafts.saveDraft(older.id, { calculatorMode: 'standard', fields: {} });
+
+    const outcome = await privacy.eraseForLead(lead);
+    assert.equal(outcome.drafts, 1);
+    assert.equal(drafts.findByToken(older.token), null);
+    assert.ok(!fs.readFileSync(path.join(dataDir, 'drafts.json'), 'utf8').includes('efe@example.com'));
+  });
+
+  test('forgets the blocked attempts made with the address', async () => {
+    const lead = await createLead('bola@example.com');
+    await abuseProtection.recordBlocked('rate_limit_email', { ip: '203.0.113.7', email: 'bola@example.com' });
+    await abuseProtection.recordBlocked('rate_limit_email', { ip: '203.0.113.8', email: 'chike@example.com' });
+
+    await privacy.eraseForLead(lead);
+
+    const { recent } = abuseProtection.getStats();
+    assert.ok(!recent.some(entry => entry.email === 'bola@example.com' || entry.ip === '203.0.113.7'));
+    assert.ok(recent.some(entry => entry.email === 'chike@example.com'));
+  });
+});
+
+describe('retention', () => {
+  before(() => {
+    config.use(helpers.testConfig({ NOTIFY_WEBHOOK_URL: 'https://crm.example.com/hooks', LEAD_RETENTION_DAYS: '30' }));
+  });
+
+  // Leads are created now; move their dates back as if they had come in earlier
+  async function leadFrom(days, changes = {}) {
+    const lead = await createLead('dayo@example.com');
+    Object.assign(leadStore.getLead(lead.id), { createdAt: daysAgo(days) }, changes);
+    return lead;
+  }
+
+  test('counts from when a lead came in, however recently it was edited', async () => {
+    const old = await leadFrom(40);
+    await leadStore.updateLead(old.id, { note: 'Left a voicemail' }, 'admin');
+    const recent = await leadFrom(10);
+
+    const { leadIds } = await privacy.purgeStaleLeads();
+
+    assert.ok(leadIds.includes(old.id));
+    assert.ok(!leadIds.includes(recent.id));
+  });
+
+  test('counts from when a closed lead was won or lost', async () => {
+    const closedRecently = await leadFrom(100, {
+      status: 'lost',
+      statusHistory: [{ status: 'new', at: daysAgo(100) }, { status: 'lost', at: daysAgo(10) }]
+    });
+    const closedLongAgo = await leadFrom(100, {
+      status: 'won',
+      statusHistory: [{ status: 'new', at: daysAgo(100) }, { status: 'won', at: daysAgo(45) }]
+    });
+
+    const { leadIds } = await privacy.purgeStaleLeads();
+
+    assert.ok(!leadIds.includes(closedRecently.id));
+    assert.ok(leadIds.includes(closedLongAgo.id));
+  });
+});
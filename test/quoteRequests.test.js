@@ -0,0 +1,87 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const helpers = require('./helpers');
+
+helpers.useTempDataDir();
+process.env.LOG_LEVEL = 'error';
+
+const config = require('../lib/config');
+const leadStore = require('../lib/leadStore');
+const { createApp } = require('../app');
+
+describe('JSON quote submission with uploaded photos', () => {
+  let app;
+  let server;
+  let base;
+
+  before(async () => {
+    const settings = helpers.testConfig({ SMTP_HOST: 'smtp.example.com', EMAIL_FROM: 'quotes@example.com', RECIPIENT_EMAIL: 'sales@example.com' });
+    app = createApp({ config: settings, mailTransport: helpers.fakeMailTransport() });
+    server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+    base = `http://127.0.0.1:${server.address().port}/api/v1`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  async function uploadPhoto() {
+    const png = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#f4b400' } }).png().toBuffer();
+    const form = new FormData();
+    form.append('photos', new Blob([png], { type: 'image/png' }), 'roof.png');
+
+    const response = await fetch(`${base}/uploads`, { method: 'POST', body: form });
+    assert.equal(response.status, 201);
+    const [upload] = (await response.json()).data;
+    return upload.id;
+  }
+
+  const submitQuote = (name, phone, photoIds) => fetch(`${base}/quotes`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      name,
+      email: `${name.toLowerCase().replace(/\W+/g, '.')}@example.com`,
+      phone,
+      address: '1 Marina, Lagos',
+      solarPanels: '8',
+      battery: '10 kWh',
+      systemSize: '3.2 kW',
+      dailyEnergy: '12 kWh',
+      contactMethod: 'phone',
+      photoIds
+    })
+  });
+
+  test('a photo goes to exactly one of two quotes submitted at the same time', async () => {
+    const photoId = await uploadPhoto();
+
+    const responses = await Promise.all([
+      submitQuote('Ada Obi', '+2348030000001', [photoId]),
+      submitQuote('Bola Ade', '+2348030000002', [photoId])
+    ]);
+    const statuses = responses.map(response => response.status).sort();
+    assert.deepEqual(statuses, [201, 422]);
+
+    const accepted = await responses.find(response => response.status === 201).json();
+    const rejected = await responses.find(response => response.status === 422).json();
+    const lead = config.runInScope(app.locals.configScope, () => leadStore.getLead(accepted.data.id));
+    assert.equal(lead.attachments.length, 1);
+    assert.equal(rejected.error.details[0].code, 'unknown_upload');
+  });
+
+  test('a photo that cannot be decoded is refused as invalid', async () => {
+    const png = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#f4b400' } }).png().toBuffer();
+    const form = new FormData();
+    form.append('photos', new Blob([png.subarray(0, png.length / 2)], { type: 'image/png' }), 'roof.png');
+
+    const response = await fetch(`${base}/uploads`, { method: 'POST', body: form });
+    assert.equal(response.status, 422);
+  });
+
+  test('a used photo cannot be claimed again', async () => {
+    const photoId = await uploadPhoto();
+
+    assert.equal((await submitQuote('Chike Eze', '+2348030000003', [photoId])).status, 201);
+    assert.equal((await submitQuote('Dayo Ojo', '+2348030000004', [photoId])).status, 422);
+  });
+});
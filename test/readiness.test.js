@@ -0,0 +1,105 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.useTempDataDir();
+process.env.LOG_LEVEL = 'error';
+
+const notifications = require('../lib/notifications');
+const config = require('../lib/config');
+const { createApp } = require('../app');
+
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+const close = server => new Promise(resolve => server.close(resolve));
+
+describe('GET /health/ready', () => {
+  let sink;
+
+  before(async () => {
+    sink = await helpers.startSmtpSink();
+  });
+
+  after(() => sink.close());
+
+  // An app whose email channel logs in to `port`
+  async function startApp(port, env = {}) {
+    const app = createApp({
+      config: helpers.testConfig({
+        SMTP_HOST: '127.0.0.1',
+        SMTP_PORT: String(port),
+        EMAIL_USER: 'quotes@example.com',
+        EMAIL_PASSWORD: 'secret',
+        RECIPIENT_EMAIL: 'sales@example.com',
+        ...env
+      })
+    });
+    const server = await listen(app);
+    return {
+      ready: headers => fetch(`http://127.0.0.1:${server.address().port}/health/ready`, { headers }),
+      close: () => {
+        // Pooled SMTP connections would keep the sink open until they time out
+        config.runInScope(app.locals.configScope, () => notifications.closeChannels());
+        return close(server);
+      }
+    };
+  }
+
+  test('reuses a recent result instead of logging in on every poll', async () => {
+    const app = await startApp(sink.port);
+    try {
+      const logins = sink.logins.length;
+      const polls = await Promise.all([app.ready(), app.ready()]);
+      const again = await app.ready();
+
+      assert.deepEqual([...polls, again].map(response => response.status), [200, 200, 200]);
+      assert.equal(sink.logins.length, logins + 1);
+      assert.deepEqual((await again.json()).checks['smtp:email'], { status: 'ok' });
+    } finally {
+      await app.close();
+    }
+  });
+
+  test('shows why a check failed only to callers with the metrics token', async () => {
+    // Nothing listens on port 9, so the mail server check fails
+    const app = await startApp(9, { METRICS_TOKEN: 'scrape-token' });
+    try {
+      const anonymous = await app.ready();
+      assert.equal(anonymous.status, 503);
+      assert.deepEqual((await anonymous.json()).checks['smtp:email'], { status: 'error' });
+
+      const guessed = await app.ready({ Authorization: 'Bearer scrape-tokem' });
+      assert.deepEqual((await guessed.json()).checks['smtp:email'], { status: 'error' });
+
+      const trusted = await app.ready({ Authorization: 'Bearer scrape-token' });
+      const check = (await trusted.json()).checks['smtp:email'];
+      assert.equal(check.status, 'error');
+      assert.ok(check.error);
+      assert.equal(typeof check.durationMs, 'number');
+    } finally {
+      await app.close();
+    }
+  });
+});
+
+describe('GET /metrics', () => {
+  test('needs the metrics token when one is set', async () => {
+    const app = createApp({ config: helpers.testConfig({ NOTIFY_WEBHOOK_URL: 'https://crm.example.com/hooks', METRICS_TOKEN: 'scrape-token' }) });
+    const server = await listen(app);
+    const scrape = headers => fetch(`http://127.0.0.1:${server.address().port}/metrics`, { headers });
+    try {
+      assert.equal((await scrape()).status, 401);
+      assert.equal((await scrape({ Authorization: 'Bearer scrape-tokem' })).status, 401);
+
+      const scraped = await scrape({ Authorization: 'Bearer scrape-token' });
+      assert.equal(scraped.status, 200);
+      assert.match(await scraped.text(), /# TYPE /);
+    } finally {
+      await close(server);
+    }
+  });
+});
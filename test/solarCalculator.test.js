@@ -0,0 +1,168 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const helpers = require('./helpers');
+
+helpers.useTempDataDir();
+
+const config = require('../lib/config');
+const solarCalculator = require('../lib/solarCalculator');
+const { createApp } = require('../app');
+
+before(() => {
+  config.use(helpers.testConfig({
+    NOTIFY_WEBHOOK_URL: 'https://crm.example.com/hooks',
+    PANEL_WATTAGE: '500',
+    ELECTRICITY_TARIFF: '100',
+    CALCULATION_TOLERANCE: '0.15'
+  }));
+});
+
+describe('calculateSystem', () => {
+  test('sizes against the default sun hours without coordinates', () => {
+    const result = solarCalculator.calculateSystem({ dailyUsage: '12 kWh' });
+
+    assert.equal(result.assumptions.resource, 'default');
+    assert.equal(result.assumptions.peakSunHours, 5);
+    // 12 kWh / (5 h x 0.8) = 3 kW = 6 panels of 500 W
+    assert.deepEqual(result.system, { panels: 6, systemSizeKw: 3, batteryKwh: 7.5, annualOutputKwh: 4380, monthlySavings: 36500 });
+    assert.equal(result.monthlyProduction, null);
+  });
+
+  test('turns a monthly bill into daily usage at the tariff', () => {
+    const fromBill = solarCalculator.calculateSystem({ electricBill: '₦45,000' });
+    assert.equal(fromBill.inputs.dailyUsage, 15);
+    assert.equal(fromBill.inputs.dailyUsageSource, 'electric-bill');
+
+    const both = solarCalculator.calculateSystem({ dailyUsage: '10', electricBill: '45000' });
+    assert.equal(both.inputs.dailyUsage, 10);
+    assert.equal(both.inputs.dailyUsageSource, 'daily-usage');
+  });
+
+  test('needs usage or a bill', () => {
+    assert.equal(solarCalculator.calculateSystem({}), null);
+    assert.equal(solarCalculator.calculateSystem({ dailyUsage: '0', electricBill: 'none' }), null);
+  });
+
+  test('sizes the battery for the autonomy of each system type', () => {
+    const battery = systemType => solarCalculator.calculateSystem({ dailyUsage: '12', systemType }).system.batteryKwh;
+
+    assert.equal(battery('grid-tied'), 0);
+    assert.equal(battery('On grid'), 0);
+    assert.equal(battery('hybrid'), 7.5);
+    assert.equal(battery(undefined), 7.5);
+    // A full day of usage at 80% depth of discharge
+    assert.equal(battery('off-grid'), 15);
+    assert.equal(battery('standalone'), 15);
+  });
+
+  test('never counts more savings than the energy the customer buys', () => {
+    const result = solarCalculator.calculateSystem({ dailyUsage: '1' });
+    assert.equal(result.system.panels, 1);
+    assert.ok(result.system.annualOutputKwh > 365);
+    assert.equal(result.system.monthlySavings, Math.round((365 / 12) * 100));
+  });
+
+  test('uses the irradiance grid for a site with coordinates', () => {
+    const result = solarCalculator.calculateSystem({ dailyUsage: '12', locationCoordinates: '6.5, 3.4' });
+
+    assert.equal(result.assumptions.resource, 'modelled-climatology-v1');
+    assert.equal(result.inputs.azimuth, 180);
+    assert.equal(result.monthlyProduction.length, 12);
+    assert.equal(result.system.annualOutputKwh, result.monthlyProduction.reduce((sum, month) => sum + month.outputKwh, 0));
+  });
+
+  test('faces the array towards the equator in the southern hemisphere', () => {
+    const facingEquator = solarCalculator.calculateSystem({ dailyUsage: '12', locationCoordinates: '-33.9, 18.4' });
+    const facingPole = solarCalculator.calculateSystem({ dailyUsage: '12', locationCoordinates: '-33.9, 18.4', orientation: 'south' });
+
+    assert.equal(facingEquator.inputs.azimuth, 0);
+    assert.ok(facingPole.system.panels > facingEquator.system.panels);
+  });
+
+  test('scales the default sun hours by orientation', () => {
+    const result = solarCalculator.calculateSystem({ dailyUsage: '12', orientation: 'north' });
+    assert.equal(result.assumptions.peakSunHours, 3.5);
+  });
+});
+
+describe('orientation', () => {
+  test('reads compass names, abbreviations and degrees', () => {
+    assert.equal(solarCalculator.parseAzimuth('SE'), 135);
+    assert.equal(solarCalculator.parseAzimuth('South West'), 225);
+    assert.equal(solarCalculator.parseAzimuth('northeast'), 45);
+    assert.equal(solarCalculator.parseAzimuth('-90'), 270);
+    assert.equal(solarCalculator.parseAzimuth('400°'), 40);
+    assert.equal(solarCalculator.parseAzimuth('up'), null);
+    assert.equal(solarCalculator.parseAzimuth(''), null);
+  });
+
+  test('rates a facing by how far it turns from the equator', () => {
+    const { orientationFactor } = solarCalculator;
+
+    assert.equal(orientationFactor(180, 6.5), 1);
+    assert.equal(orientationFactor(135, 6.5), 0.95);
+    assert.equal(orientationFactor(90, 6.5), 0.87);
+    assert.equal(orientationFactor(0, 6.5), 0.7);
+
+    assert.equal(orientationFactor(0, -33.9), 1);
+    assert.equal(orientationFactor(315, -33.9), 0.95);
+    assert.equal(orientationFactor(270, -33.9), 0.87);
+    assert.equal(orientationFactor(180, -33.9), 0.7);
+
+    assert.equal(orientationFactor(null, -33.9), 1);
+  });
+});
+
+describe('compareWithClient', () => {
+  const result = () => solarCalculator.calculateSystem({ dailyUsage: '12' });
+
+  test('flags only the figures beyond the tolerance and skips those not sent', () => {
+    const { tolerance, checks, flagged } = solarCalculator.compareWithClient(result(), {
+      solarPanels: '6',
+      systemSize: '3.3 kW',
+      battery: '10 kWh'
+    });
+
+    assert.equal(tolerance, 0.15);
+    assert.deepEqual(checks.map(check => check.field), ['solar-panels', 'system-size', 'battery']);
+    assert.deepEqual(flagged.map(check => [check.field, check.deviation]), [['battery', 0.333]]);
+  });
+
+  test('takes a tolerance of its own', () => {
+    const { flagged } = solarCalculator.compareWithClient(result(), { systemSize: '3.3 kW' }, 0.05);
+    assert.deepEqual(flagged.map(check => check.field), ['system-size']);
+  });
+
+  test('flags any battery where the server sizes none', () => {
+    const gridTied = solarCalculator.calculateSystem({ dailyUsage: '12', systemType: 'grid-tied' });
+
+    assert.equal(solarCalculator.compareWithClient(gridTied, { battery: '0' }).flagged.length, 0);
+    assert.deepEqual(solarCalculator.compareWithClient(gridTied, { battery: '5 kWh' }).flagged.map(check => check.deviation), [1]);
+  });
+});
+
+describe('POST /api/calculate', () => {
+  let server;
+  let url;
+
+  before(async () => {
+    const app = createApp({ config: config.get() });
+    server = await new Promise(resolve => { const listening = app.listen(0, '127.0.0.1', () => resolve(listening)); });
+    url = `http://127.0.0.1:${server.address().port}/api/calculate`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  test('sizes the same system from a multipart or a urlencoded form', async () => {
+    const fields = { 'daily-usage': '12', 'location-coordinates': '6.4541, 3.3947' };
+    const multipart = new FormData();
+    Object.entries(fields).forEach(([field, value]) => multipart.append(field, value));
+
+    const fromMultipart = await fetch(url, { method: 'POST', body: multipart });
+    const fromUrlencoded = await fetch(url, { method: 'POST', body: new URLSearchParams(fields) });
+
+    assert.equal(fromMultipart.status, 200);
+    assert.equal(fromUrlencoded.status, 200);
+    assert.deepEqual(await fromUrlencoded.json(), await fromMultipart.json());
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const validation = require('../lib/validation');
+
+const { MODE_SCHEMAS, validate, detectMode } = validation;
+
+const codes = errors => errors.map(error => [error.field, error.code]);
+
+describe('detectMode', () => {
+  test('uses a declared known mode', () => {
+    assert.equal(detectMode({ 'calculator-mode': ' Assistive ', 'solar-panels': '8', 'battery': '10' }), 'assistive');
+  });
+
+  test('tries advanced before standard', () => {
+    const advanced = { 'system-type': 'hybrid', 'orientation': 'south', 'tilt': '15', 'solar-panels': '8', 'battery': '10' };
+    assert.equal(detectMode(advanced), 'advanced');
+    assert.equal(detectMode({ ...advanced, tilt: ' ' }), 'standard');
+  });
+
+  test('falls back to assistive when no detection fields are all there', () => {
+    assert.equal(detectMode({ 'calculator-mode': 'unknown', 'solar-panels': '8' }), 'assistive');
+    assert.equal(detectMode(), 'assistive');
+  });
+});
+
+describe('validate', () => {
+  const standard = fields => validate(MODE_SCHEMAS.standard, { name: 'Ada Obi', ...fields });
+
+  test('normalises the fields and strips unknown ones', () => {
+    const { value, errors } = standard({
+      'email': ' Ada@Example.COM ',
+      'phone': '+234 (801) 234-5678',
+      'contact-method': 'EMAIL',
+      'solar-panels': '8 panels',
+      'tilt': '15',
+      'website': 'https://spam.example.com'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, {
+      'name': 'Ada Obi',
+      'email': 'ada@example.com',
+      'phone': '+2348012345678',
+      'contact-method': 'email',
+      'solar-panels': '8 panels'
+    });
+  });
+
+  test('reports unknown fields when asked to', () => {
+    const { errors } = validate(MODE_SCHEMAS.standard, { 'name': 'Ada Obi', 'phone': '08012345678', 'tilt': '15' }, { rejectUnknown: true });
+    assert.deepEqual(codes(errors), [['tilt', 'unknown_field']]);
+  });
+
+  test('requires the contact detail of the chosen contact method', () => {
+    assert.deepEqual(codes(standard({ 'contact-method': 'email', 'phone': '08012345678' }).errors), [['email', 'required']]);
+    assert.deepEqual(codes(standard({ 'contact-method': 'sms', 'email': 'ada@example.com' }).errors), [['phone', 'required']]);
+    assert.deepEqual(codes(standard({}).errors), [['email', 'required']]);
+    assert.deepEqual(standard({ 'phone': '08012345678' }).errors, []);
+  });
+
+  test('does not repeat a contact rule error for a field that is already invalid', () => {
+    const { errors } = standard({ 'contact-method': 'email', 'email': 'ada@example' });
+    assert.deepEqual(codes(errors), [['email', 'invalid_format']]);
+  });
+
+  test('checks the range of quantities but keeps their text', () => {
+    const { value, errors } = standard({ 'phone': '08012345678', 'battery': '10 kWh', 'solar-panels': '-2', 'system-size': 'big' });
+
+    assert.equal(value.battery, '10 kWh');
+    assert.deepEqual(codes(errors), [['solar-panels', 'out_of_range'], ['system-size', 'invalid_type']]);
+  });
+
+  test('turns numbers into numbers within their range', () => {
+    const advanced = fields => validate(MODE_SCHEMAS.advanced, { 'name': 'Ada Obi', 'phone': '08012345678', ...fields });
+
+    assert.equal(advanced({ tilt: '22.5' }).value.tilt, 22.5);
+    assert.equal(advanced({ tilt: 0 }).value.tilt, 0);
+    assert.deepEqual(codes(advanced({ tilt: '91' }).errors), [['tilt', 'out_of_range']]);
+  });
+
+  test('normalises advanced choices and coordinates', () => {
+    const { value, errors } = validate(MODE_SCHEMAS.advanced, {
+      'name': 'Ada Obi',
+      'phone': '08012345678',
+      'system-type': 'Stand Alone',
+      'orientation': 'SE',
+      'location-coordinates': '6.5244,3.3792'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(value['system-type'], 'off-grid');
+    assert.equal(value.orientation, 'se');
+    assert.equal(value['location-coordinates'], '6.5244, 3.3792');
+  });
+
+  test('refuses required fields that are missing and values that are not single', () => {
+    const { errors } = validate(MODE_SCHEMAS.standard, { 'name': ' ', 'phone': ['08012345678', '08087654321'] });
+    assert.deepEqual(codes(errors), [['name', 'required'], ['phone', 'invalid_type'], ['email', 'required']]);
+  });
+});